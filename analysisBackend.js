@@ -0,0 +1,105 @@
+// Analysis Backend - The contract between Mic and a realtime analysis provider
+// Mic owns capture, VAD and playback; a backend owns the transport and turns provider messages into results
+// Gemini Live is one implementation (geminiLiveBackend.js) - others only need to fill in the same methods
+
+export class AnalysisBackend {
+	constructor(connectionState) {
+		// Shared with Mic - the backend drives it, the UI listens to it
+		this.connectionState = connectionState;
+
+		// Read by Mic - set them if the provider has them
+		this.model = null; // Model id the session runs, for usage pricing - null when the provider has no such notion
+		this.validationMetrics = null; // Reply schema check counts, see GeminiLiveBackend.recordValidation
+	}
+
+	// Open the connection - options carry credentials and mode, e.g. { apiKey, tokenUrl, responseMode, baseUrl, persona, settings }
+	// Resolves once the connection attempt has started; onReady fires when audio can flow
+	async connect(options) {
+		throw new Error('connect() not implemented');
+	}
+
+	// audioData is { data: base64 PCM16, mimeType: 'audio/pcm;rate=N' } (see Mic.createBlob)
+	sendAudio(audioData, durationMs) {
+		throw new Error('sendAudio() not implemented');
+	}
+
+	// type is 'activityStart' or 'activityEnd' - utterance boundaries from Mic's VAD
+	sendActivity(type) {
+		throw new Error('sendActivity() not implemented');
+	}
+
+	// A typed turn - returns true once sent, false when it can't go now (not streaming, or an utterance is open)
+	sendText(text) {
+		throw new Error('sendText() not implemented');
+	}
+
+	close() {
+		throw new Error('close() not implemented');
+	}
+
+	// Mic couldn't start capture (no mic permission, no file) - release the connection and move connectionState to 'error' with message
+	fail(message) {
+		throw new Error('fail() not implemented');
+	}
+
+	// The reply format the provider's prompt asks for, shown read-only in the persona editor - null if it has none
+	describeReplyFormat() {
+		return null;
+	}
+
+	// Callbacks for external events
+	onReady({ resumed }) {
+		// Override this in mic.js
+		// Connection is set up and accepting audio - resumed is true after a reconnect
+	}
+
+	onResult(responseData) {
+		// Override this in mic.js
+		// responseData is the normalized analysis (see GeminiLiveBackend.parseResponse)
+	}
+
+	onInputTranscript(text, isNew) {
+		// Override this in mic.js
+		// Running transcription of the speaker - isNew marks the first chunk of a new utterance
+	}
+
+	onPartialResult(partial, field) {
+		// Override this in mic.js
+		// Fields of a reply that is still streaming - field is the one that just completed
+	}
+
+	onToolCall(name, args) {
+		// Override this in mic.js
+		// A validated visualizer call - 'set_mood' or 'pulse' (see visualizerTools.js)
+	}
+
+	onAudio(base64, mimeType) {
+		// Override this in mic.js
+		// A chunk of the provider's spoken reply
+	}
+
+	onInterrupted() {
+		// Override this in mic.js
+		// The provider stopped its reply early - drop any queued playback
+	}
+
+	onMessage(message) {
+		// Override this in mic.js
+		// Raw provider message, before any parsing - used by the session recorder
+	}
+
+	onValidation(report) {
+		// Override this in mic.js
+		// Schema check of a reply - { outcome, errors, attempt, metrics } (see GeminiLiveBackend.recordValidation)
+	}
+
+	onUsage(usage) {
+		// Override this in mic.js
+		// Token counts the provider bills for - { promptTokenCount, responseTokenCount, promptTokensDetails, ... }
+	}
+
+	onError(message) {
+		// Override this in mic.js
+		// Non-fatal error worth showing - fatal ones move connectionState to 'error'
+	}
+}
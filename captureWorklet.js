@@ -0,0 +1,88 @@
+// Capture Worklet - Runs on the audio thread, batches mic input into frames and converts to PCM16
+// Loaded by Mic via audioWorklet.addModule(), finished frames are posted back over the MessagePort
+import { Resampler } from './resampler.js';
+
+class CaptureProcessor extends AudioWorkletProcessor {
+	constructor(options) {
+		super();
+		this.active = true;
+		this.setFrameSize(options.processorOptions?.frameSize || 640);
+
+		// `sampleRate` is the AudioContext's real rate - browsers don't always honour the one we asked for
+		const targetRate = options.processorOptions?.targetSampleRate || sampleRate;
+		this.resampler = targetRate !== sampleRate ? new Resampler(sampleRate, targetRate) : null;
+
+		this.port.onmessage = (event) => {
+			const message = event.data;
+			if (message.type === 'frameSize') {
+				// Send what we have at the old size before switching
+				this.flush();
+				this.setFrameSize(message.frameSize);
+			} else if (message.type === 'flush') {
+				this.flush();
+			} else if (message.type === 'stop') {
+				this.active = false;
+			}
+		};
+	}
+
+	setFrameSize(frameSize) {
+		this.frameSize = Math.max(128, Math.floor(frameSize));
+		// Ring buffer holds several frames so a render quantum never overwrites unread audio
+		this.ring = new Float32Array(this.frameSize * 4);
+		this.readIndex = 0;
+		this.writeIndex = 0;
+		this.available = 0;
+	}
+
+	process(inputs) {
+		const input = inputs[0] && inputs[0][0];
+		if (!input) return this.active;
+
+		const channel = this.resampler ? this.resampler.process(input) : input;
+
+		for (let i = 0; i < channel.length; i++) {
+			this.ring[this.writeIndex] = channel[i];
+			this.writeIndex = (this.writeIndex + 1) % this.ring.length;
+			if (this.available < this.ring.length) {
+				this.available++;
+			} else {
+				// Full - drop the oldest sample
+				this.readIndex = (this.readIndex + 1) % this.ring.length;
+			}
+		}
+
+		while (this.available >= this.frameSize) {
+			this.emitFrame(this.frameSize);
+		}
+
+		return this.active;
+	}
+
+	flush() {
+		if (this.available > 0) {
+			this.emitFrame(this.available);
+		}
+	}
+
+	emitFrame(length) {
+		const float32 = new Float32Array(length);
+		const pcm16 = new Int16Array(length);
+
+		for (let i = 0; i < length; i++) {
+			const sample = this.ring[this.readIndex];
+			this.readIndex = (this.readIndex + 1) % this.ring.length;
+
+			float32[i] = sample;
+			// Convert float32 -1 to 1 to int16 -32768 to 32767
+			const clamped = Math.max(-1, Math.min(1, sample));
+			pcm16[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF;
+		}
+		this.available -= length;
+
+		// Transfer the buffers instead of copying them
+		this.port.postMessage({ type: 'frame', float32: float32.buffer, pcm16: pcm16.buffer }, [float32.buffer, pcm16.buffer]);
+	}
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
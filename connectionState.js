@@ -0,0 +1,66 @@
+// Connection State Machine - Single source of truth for where the Live session is
+// Mic drives the transitions, UIDisplay listens for 'change' events to update buttons and status text
+
+// Allowed transitions - anything not listed here is rejected
+const TRANSITIONS = {
+	idle: ['connecting'],
+	connecting: ['setup', 'error', 'closed'],
+	setup: ['listening', 'reconnecting', 'error', 'closed'],
+	listening: ['responding', 'reconnecting', 'error', 'closed'],
+	responding: ['listening', 'reconnecting', 'error', 'closed'],
+	reconnecting: ['reconnecting', 'setup', 'error', 'closed'],
+	error: ['connecting', 'closed'],
+	closed: ['connecting', 'idle']
+};
+
+export const ConnectionStates = Object.freeze(Object.keys(TRANSITIONS));
+
+export class ConnectionStateMachine extends EventTarget {
+	constructor(initialState = 'idle') {
+		super();
+		this._state = initialState;
+		this.detail = {};
+	}
+
+	get state() {
+		return this._state;
+	}
+
+	// States where a session is up and audio can flow straight to it
+	get isStreaming() {
+		return this._state === 'listening' || this._state === 'responding';
+	}
+
+	// States where the connect button should be locked
+	get isActive() {
+		return this._state !== 'idle' && this._state !== 'closed' && this._state !== 'error';
+	}
+
+	is(...states) {
+		return states.includes(this._state);
+	}
+
+	can(next) {
+		return TRANSITIONS[this._state].includes(next);
+	}
+
+	// Returns false (and leaves the state alone) if the transition isn't allowed
+	transition(next, detail = {}) {
+		if (!this.can(next)) {
+			console.warn(`[STATE] Ignoring invalid transition ${this._state} -> ${next}`);
+			return false;
+		}
+
+		const previous = this._state;
+		this._state = next;
+		this.detail = detail;
+		if (previous !== next) {
+			console.log(`[STATE] ${previous} -> ${next}`);
+		}
+
+		this.dispatchEvent(new CustomEvent('change', {
+			detail: { state: next, previous, ...detail }
+		}));
+		return true;
+	}
+}
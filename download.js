@@ -0,0 +1,13 @@
+// Download - Saves a Blob as a file through a temporary link, for the session and persona exports
+
+export function saveBlob(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	// Revoked a moment later - some browsers haven't started the download when click() returns
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,147 @@
+// Audio File Player - Streams a decoded audio file as capture frames, in place of the microphone
+// Used by Mic's 'file' input mode so recorded utterances can be replayed exactly, in real time or faster
+
+export class AudioFilePlayer {
+	constructor({ sampleRate = 16000, frameSize = 640, tickMs = 20 } = {}) {
+		this.sampleRate = sampleRate;
+		this.frameSize = frameSize;
+		this.tickMs = tickMs;
+
+		// State
+		this.samples = null;
+		this.fileName = null;
+		this.position = 0; // In samples
+		this.speed = 1;
+		this.playing = false;
+		this.timer = null;
+		this.startedAt = 0;
+		this.startPosition = 0;
+	}
+
+	get loaded() {
+		return this.samples !== null;
+	}
+
+	get duration() {
+		return this.samples ? this.samples.length / this.sampleRate : 0;
+	}
+
+	get currentTime() {
+		return this.position / this.sampleRate;
+	}
+
+	// Decode WAV/MP3/OGG and mix down to mono at the capture rate
+	// decodeAudioData resamples to its context's rate, so an offline context at sampleRate does the conversion
+	async load(file) {
+		this.pause();
+
+		const data = await file.arrayBuffer();
+		const context = new OfflineAudioContext(1, 1, this.sampleRate);
+		const buffer = await context.decodeAudioData(data);
+
+		const mono = new Float32Array(buffer.length);
+		for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+			const input = buffer.getChannelData(channel);
+			for (let i = 0; i < input.length; i++) {
+				mono[i] += input[i] / buffer.numberOfChannels;
+			}
+		}
+
+		this.samples = mono;
+		this.fileName = file.name;
+		this.position = 0;
+		console.log(`[FILE] Loaded ${file.name}: ${this.duration.toFixed(2)}s, ${buffer.numberOfChannels} channel(s) -> mono ${this.sampleRate}Hz`);
+		this.onPosition(0, this.duration);
+		return this.duration;
+	}
+
+	setFrameSize(frameSize) {
+		this.frameSize = Math.max(1, Math.floor(frameSize));
+	}
+
+	// 1 is real time - higher values push frames out faster than they were recorded
+	setSpeed(speed) {
+		if (this.playing) {
+			// Restart the clock so the new speed applies from here
+			this.startPosition = this.position;
+			this.startedAt = performance.now();
+		}
+		this.speed = Math.max(0.25, speed);
+	}
+
+	play() {
+		if (!this.loaded || this.playing) return;
+		if (this.position >= this.samples.length) {
+			this.position = 0;
+		}
+
+		this.playing = true;
+		this.startPosition = this.position;
+		this.startedAt = performance.now();
+		this.timer = setInterval(() => this.tick(), this.tickMs);
+		this.onStateChange(true);
+	}
+
+	pause() {
+		if (!this.playing) return;
+		clearInterval(this.timer);
+		this.timer = null;
+		this.playing = false;
+		this.onStateChange(false);
+	}
+
+	seek(seconds) {
+		if (!this.loaded) return;
+		this.position = Math.round(Math.max(0, Math.min(this.duration, seconds)) * this.sampleRate);
+		this.startPosition = this.position;
+		this.startedAt = performance.now();
+		this.onPosition(this.currentTime, this.duration);
+	}
+
+	// Emit whole frames until we've caught up with the clock - timer jitter never changes what is sent
+	tick() {
+		const elapsed = (performance.now() - this.startedAt) / 1000 * this.speed;
+		const due = Math.min(this.samples.length, this.startPosition + Math.floor(elapsed * this.sampleRate));
+
+		while (this.playing && due - this.position >= this.frameSize) {
+			this.emitFrame(this.frameSize);
+		}
+
+		// Last partial frame
+		if (this.playing && due === this.samples.length && this.position < due) {
+			this.emitFrame(due - this.position);
+		}
+
+		this.onPosition(this.currentTime, this.duration);
+
+		if (this.playing && this.position >= this.samples.length) {
+			this.pause();
+			console.log('[FILE] Reached end of', this.fileName);
+			this.onEnded();
+		}
+	}
+
+	emitFrame(length) {
+		// Copy so the consumer can keep or modify it
+		const frame = this.samples.slice(this.position, this.position + length);
+		this.position += length;
+		this.onFrame(frame);
+	}
+
+	// Callbacks for external events
+	onFrame(float32) {
+		// Override this in mic.js
+	}
+
+	onPosition(currentTime, duration) {
+		// Override this in mic.js
+	}
+
+	onStateChange(playing) {
+		// Override this in mic.js
+	}
+
+	onEnded() {
+		// Override this in mic.js
+	}
+}
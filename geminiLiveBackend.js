@@ -0,0 +1,1095 @@
+// Gemini Live Backend - Analysis backend for the Gemini Live API
+// Owns the session: setup, reconnects with resumption, GoAway rotation, and parsing Uni's JSON replies
+import { GoogleGenAI, Modality } from '@google/genai';
+import { AnalysisBackend } from './analysisBackend.js';
+import { validateResponse, describeResponseFormat, buildRepairPrompt, checkField } from './responseSchema.js';
+import { PartialJsonParser } from './partialJson.js';
+import { BUILT_IN_PERSONAS } from './persona.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { VISUALIZER_TOOLS, VISUALIZER_PROMPT, VISUAL_FIELDS, validateToolCall } from './visualizerTools.js';
+
+export class GeminiLiveBackend extends AnalysisBackend {
+	constructor(connectionState) {
+		super(connectionState);
+
+		// State
+		this.client = null;
+		this.session = null;
+		this.apiKey = null;
+		this.tokenUrl = null;
+		this.responseMode = 'text';
+		this.persona = BUILT_IN_PERSONAS[0];
+		this.settings = { ...DEFAULT_SETTINGS };
+		this.hasSession = false;
+		this.accumulatedText = '';
+		this.spokenText = '';
+		this.generationCounter = 0;
+		this.sessionGeneration = 0;
+		this.rotation = null;
+		this.rotationTimer = null;
+		this.handoverInput = [];
+		this.lastActivityEndAt = 0;
+		this.lastTurnCompleteAt = 0;
+		this.resumptionHandle = null;
+		this.reconnectAttempt = 0;
+		this.reconnectTimer = null;
+		this.pendingInput = [];
+		this.pendingMs = 0;
+		this.activityOpen = false;
+		this.repairAttempt = 0;
+		this.partialParser = new PartialJsonParser();
+		this.partialResult = {};
+		this.turnMood = null;
+		this.lastMood = null;
+		this.inputTranscript = '';
+		this.typedTurn = null;
+		this.validationMetrics = {
+			turns: 0,
+			validFirstTime: 0,
+			repaired: 0,
+			failed: 0,
+			repairTurnsSent: 0,
+			fieldErrors: {}
+		};
+
+		// Config
+		this.model = DEFAULT_SETTINGS.model; // Replaced by the settings panel's choice on connect
+		this.baseUrl = null; // Point at another Live endpoint, e.g. the mock server in server/mockLiveServer.js
+		this.reconnectBaseDelayMs = 500;
+		this.reconnectMaxDelayMs = 15000;
+		this.maxReconnectAttempts = 10;
+		this.reconnectBufferMs = 10000; // Mic audio held while reconnecting, replayed once the session is back
+		this.sessionRotateMs = 9 * 60 * 1000; // Hand over to a fresh connection before the server's ~10 minute limit
+		this.goAwayMarginMs = 1000; // Force the handover this long before a GoAway deadline
+		this.responseGraceMs = 5000; // How long to wait for a reply after activityEnd before handing over anyway
+		this.strictSchema = true; // Validate every text turn against responseSchema.js, asking for a corrected reply when it fails
+		this.maxRepairAttempts = 2; // Corrective turns per reply before falling back to the lenient parser
+		this.streamPartials = true; // Report fields as soon as they finish streaming, before turnComplete
+		this.useTools = true; // Visual reaction comes through set_mood/pulse calls (visualizerTools.js) instead of the JSON
+		this.useInputTranscription = true; // The server transcribes the speaker, so the model doesn't have to
+	}
+
+	// tokenUrl replaces apiKey when a key proxy (server/keyProxy.js) hands out ephemeral tokens
+	async connect({ apiKey, tokenUrl, responseMode, baseUrl, persona, settings }) {
+		console.log('[GEMINI] Modality enum:', Modality);
+		console.log('[GEMINI] Modality.TEXT:', Modality.TEXT);
+
+		this.apiKey = apiKey;
+		this.tokenUrl = tokenUrl || null;
+		this.responseMode = responseMode || 'text';
+		this.persona = persona || BUILT_IN_PERSONAS[0];
+		if (settings) {
+			this.settings = { ...DEFAULT_SETTINGS, ...settings };
+			this.model = this.settings.model;
+		}
+		if (baseUrl !== undefined) {
+			this.baseUrl = baseUrl;
+		}
+		this.hasSession = false;
+
+		try {
+			// Initialize client - with tokens there's a fresh one per session instead
+			this.client = this.tokenUrl ? null : new GoogleGenAI({
+				apiKey: apiKey,
+				httpOptions: this.baseUrl ? { baseUrl: this.baseUrl } : undefined
+			});
+
+			await this.openSession();
+		} catch (error) {
+			console.error('Connection error:', error);
+			this.fail('Connection failed: ' + error.message);
+		}
+	}
+
+	sendAudio(audioData, durationMs) {
+		this.sendRealtimeInput({ audio: audioData }, durationMs);
+	}
+
+	// Explicit turn markers - required because server-side activity detection is disabled
+	sendActivity(type) {
+		console.log(`[GEMINI] Sending ${type}`);
+		this.sendRealtimeInput({ [type]: {} });
+	}
+
+	// A typed turn goes into the same conversation as the audio
+	sendText(text) {
+		if (!this.session || !this.connectionState.isStreaming || this.activityOpen) return false;
+		console.log('[GEMINI] Sending typed turn:', text);
+		this.session.sendClientContent({
+			turns: [{ role: 'user', parts: [{ text }] }],
+			turnComplete: true
+		});
+		// Its reply is analysed like a spoken one, with the typed text as the transcript
+		this.typedTurn = text;
+		this.lastActivityEndAt = Date.now();
+		return true;
+	}
+
+	close() {
+		this.release();
+		this.connectionState.transition('closed');
+	}
+
+	// Unrecoverable problem - release the session and report it through the state machine
+	fail(message) {
+		this.release();
+		this.connectionState.transition('error', { message });
+	}
+
+	release() {
+		// Stop any reconnect or rotation in progress, and make callbacks from the closing session stale
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		clearTimeout(this.rotationTimer);
+		this.rotationTimer = null;
+		this.abandonRotation();
+		this.sessionGeneration = ++this.generationCounter;
+
+		// Close session
+		if (this.session) {
+			this.session.close();
+			this.session = null;
+		}
+
+		// Clear client
+		this.client = null;
+
+		// Reset state
+		this.apiKey = null;
+		this.tokenUrl = null;
+		this.hasSession = false;
+		this.accumulatedText = '';
+		this.spokenText = '';
+		this.resumptionHandle = null;
+		this.reconnectAttempt = 0;
+		this.pendingInput = [];
+		this.pendingMs = 0;
+		this.activityOpen = false;
+		this.repairAttempt = 0;
+		this.lastActivityEndAt = 0;
+		this.lastTurnCompleteAt = 0;
+	}
+
+	buildConfig() {
+		const audioMode = this.responseMode === 'audio';
+		// Note: responseSchema is NOT supported by Gemini Live API (see GitHub issue #1572)
+		// Use explicit JSON format instructions instead
+		const config = {
+			responseModalities: [audioMode ? Modality.AUDIO : Modality.TEXT],
+			// Turn boundaries come from our own VAD via activityStart/activityEnd
+			realtimeInputConfig: {
+				automaticActivityDetection: { disabled: true }
+			},
+			// Ask for resumption handles so a dropped connection can pick up where it left off
+			sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : {},
+			// Lets the session outlive the context window limit when Uni runs all day
+			contextWindowCompression: { slidingWindow: {} },
+			systemInstruction: {
+				parts: [{
+					text: this.buildSystemPrompt()
+				}]
+			}
+		};
+		if (this.useTools) {
+			config.tools = VISUALIZER_TOOLS;
+		}
+		if (this.useInputTranscription) {
+			config.inputAudioTranscription = {};
+		}
+		// Spoken replies also come back as text so they can go in the transcript log
+		if (audioMode) {
+			config.outputAudioTranscription = {};
+			if (this.settings.voice) {
+				config.speechConfig = { voiceConfig: { prebuiltVoiceConfig: { voiceName: this.settings.voice } } };
+			}
+		}
+		// Generation settings are only sent when set, so the server's defaults apply otherwise
+		for (const field of ['temperature', 'topP', 'topK', 'maxOutputTokens', 'mediaResolution']) {
+			if (this.settings[field] !== null) {
+				config[field] = this.settings[field];
+			}
+		}
+		return config;
+	}
+
+	// Persona sections (persona.js) around the parts the code depends on - reply format, tools and modality
+	buildSystemPrompt() {
+		const { personality, language, format, examples } = this.persona;
+		const task = `When you hear audio input, ${this.useInputTranscription ? 'provide analysis of it' : 'transcribe it and provide analysis'}.`;
+		const typed = 'Typed messages are analysed the same way, as if they had been said.';
+		const persona = [personality, task, typed, language].filter(Boolean).join(' ');
+		const fewShot = examples ? `
+
+Examples:
+${examples}` : '';
+
+		if (this.responseMode === 'audio') {
+			return persona + `
+
+Respond out loud with a short, natural spoken reaction (one or two sentences) that shows how what you heard makes you feel. Never read out JSON, field names or emoji.` + (this.useTools ? `
+
+${VISUALIZER_PROMPT}` : '') + fewShot;
+		}
+
+		const visualization = this.useTools
+			? `${VISUALIZER_PROMPT}
+Do not put color, speed, smooth or emoji in your JSON reply - the tools carry them.`
+			: `You have access to a visualization of how you are feeling. Please choose a color that best represents your current mood, plus speed (-1 to 1) for how energetic the emotion is, and smooth (0 to 1) for the smoothness of the visualization.`;
+
+		return persona + `
+
+CRITICAL: You MUST respond with ONLY valid JSON. No text before or after. No markdown. No code blocks. Just the raw JSON object.
+
+${visualization}
+${format ? `
+${format}
+` : ''}
+${this.describeReplyFormat()}${fewShot}
+
+Remember: Return ONLY the JSON object. No other text.`;
+	}
+
+	// The generated format block - also shown read-only in the persona editor
+	describeReplyFormat() {
+		return describeResponseFormat(this.getReplyFields());
+	}
+
+	// Fields the JSON reply has to carry - the visual ones move to set_mood when tools are on,
+	// and the transcript comes from input transcription when that's on
+	getReplyFields() {
+		return ['transcript', 'analysis', 'sentiment', 'emotion', 'emoji', 'color', 'speed', 'smooth', 'confidence']
+			.filter(field => !(this.useTools && VISUAL_FIELDS.includes(field)))
+			.filter(field => !(this.useInputTranscription && field === 'transcript'));
+	}
+
+	// Ephemeral tokens are single-use, so every session (reconnects and rotations too) gets its own
+	async getClient() {
+		if (!this.tokenUrl) return this.client;
+
+		const response = await fetch(this.tokenUrl, { method: 'POST' });
+		const body = await response.json().catch(() => ({}));
+		if (!response.ok || !body.token) {
+			throw new Error(body.error || `Key proxy returned ${response.status}`);
+		}
+		console.log('[GEMINI] Got ephemeral token, expires', body.expireTime);
+
+		// Tokens only work on v1alpha; the proxy names the Live endpoint when it isn't Google's
+		const baseUrl = body.baseUrl || this.baseUrl;
+		return new GoogleGenAI({
+			apiKey: body.token,
+			httpOptions: { apiVersion: 'v1alpha', ...(baseUrl ? { baseUrl } : {}) }
+		});
+	}
+
+	// Open a Live session - used for the first connection and for every reconnect
+	async openSession() {
+		const config = this.buildConfig();
+		console.log('[GEMINI] Config:', config);
+		console.log('[GEMINI] Response modalities:', config.responseModalities);
+
+		const generation = ++this.generationCounter;
+		this.sessionGeneration = generation;
+
+		// Connect to Gemini Live
+		const client = await this.getClient();
+		this.session = await client.live.connect({
+			model: this.model,
+			callbacks: this.createSessionCallbacks(generation),
+			config: config
+		});
+	}
+
+	// Callbacks are tied to one session - a session we've replaced is ignored,
+	// a replacement that is still warming up only reports back to the rotation
+	createSessionCallbacks(generation) {
+		const isCurrent = () => generation === this.sessionGeneration;
+		const isRotation = () => this.rotation !== null && this.rotation.generation === generation;
+
+		return {
+			onopen: () => {
+				if (!isCurrent()) return;
+				console.log('[GEMINI] Connected to Gemini Live');
+				const firstConnection = this.connectionState.is('connecting');
+				this.connectionState.transition('setup', firstConnection ? {} : { message: 'Reconnected. Resuming session...' });
+
+				// Nothing is sent until the server's setupComplete message (see handleSetupComplete)
+			},
+			onmessage: async (message) => {
+				if (isCurrent()) {
+					console.log('[GEMINI] Message received:', message);
+					this.onMessage(message);
+					this.handleGeminiResponse(message);
+				} else if (isRotation()) {
+					this.handleRotationMessage(message);
+				}
+			},
+			onerror: (error) => {
+				if (!isCurrent()) return;
+				console.error('[GEMINI] Error:', error);
+				this.onError('Gemini error: ' + error.message);
+			},
+			onclose: (event) => {
+				if (isRotation()) {
+					console.log('[GEMINI] Replacement session closed before handover:', event.reason);
+					this.abandonRotation();
+					return;
+				}
+				if (!isCurrent()) return;
+				console.log('[GEMINI] Connection closed:', event);
+				console.log('[GEMINI] Close reason:', event.reason);
+				this.session = null;
+
+				// Replacement is ready - hand over now rather than reconnecting from scratch
+				if (this.rotation && this.rotation.ready) {
+					this.completeRotation(true);
+					return;
+				}
+				this.abandonRotation();
+
+				// Only reconnect if we actually had a working session
+				if (this.hasSession) {
+					this.scheduleReconnect(event.reason || 'Connection closed');
+				} else {
+					this.fail('Disconnected - ' + (event.reason || 'Connection closed'));
+				}
+			}
+		};
+	}
+
+	// Proactive rotation - connections are time-limited, so swap before the server ends it for us
+	scheduleRotation() {
+		clearTimeout(this.rotationTimer);
+		this.rotationTimer = setTimeout(() => {
+			this.rotationTimer = null;
+			this.rotateSession('scheduled');
+		}, this.sessionRotateMs);
+	}
+
+	handleGoAway(goAway) {
+		const timeLeftMs = this.parseDuration(goAway.timeLeft);
+		console.log('[GEMINI] GoAway received, time left:', goAway.timeLeft);
+		this.rotateSession('goAway');
+
+		// Past this point waiting for a turn boundary risks losing audio - hand over mid-utterance if we must
+		if (this.rotation && timeLeftMs !== null) {
+			clearTimeout(this.rotation.deadlineTimer);
+			this.rotation.deadlineTimer = setTimeout(() => {
+				if (this.rotation && this.rotation.ready) {
+					this.completeRotation(true);
+				}
+			}, Math.max(0, timeLeftMs - this.goAwayMarginMs));
+		}
+	}
+
+	// Durations arrive as protobuf strings, e.g. "12s" or "0.5s"
+	parseDuration(duration) {
+		if (duration === undefined || duration === null) return null;
+		const seconds = parseFloat(duration);
+		return isNaN(seconds) ? null : seconds * 1000;
+	}
+
+	// Open a replacement session alongside the current one, resuming from the latest handle
+	async rotateSession(reason) {
+		if (this.rotation || !this.connectionState.isStreaming || (!this.client && !this.tokenUrl)) return;
+
+		console.log(`[GEMINI] Rotating session (${reason})`);
+		const rotation = {
+			generation: ++this.generationCounter,
+			session: null,
+			ready: false,
+			handle: null,
+			checkTimer: null,
+			deadlineTimer: null
+		};
+		this.rotation = rotation;
+		this.handoverInput = [];
+
+		try {
+			const client = await this.getClient();
+			rotation.session = await client.live.connect({
+				model: this.model,
+				callbacks: this.createSessionCallbacks(rotation.generation),
+				config: this.buildConfig()
+			});
+		} catch (error) {
+			console.error('[GEMINI] Could not open replacement session:', error);
+			if (this.rotation === rotation) {
+				this.abandonRotation();
+			}
+			return;
+		}
+
+		// Torn down or abandoned while we were connecting
+		if (this.rotation !== rotation) {
+			rotation.session.close();
+		}
+	}
+
+	handleRotationMessage(message) {
+		const rotation = this.rotation;
+
+		const resumption = message.sessionResumptionUpdate;
+		if (resumption && resumption.resumable && resumption.newHandle) {
+			rotation.handle = resumption.newHandle;
+		}
+
+		if (message.setupComplete && !rotation.ready) {
+			console.log('[GEMINI] Replacement session ready, waiting for a turn boundary');
+			rotation.ready = true;
+			// Poll rather than hook every place a turn can end
+			rotation.checkTimer = setInterval(() => this.completeRotation(false), 250);
+			this.completeRotation(false);
+		}
+	}
+
+	// Switch audio over to the replacement session
+	// Unless forced, only at a quiet moment: nobody talking and no reply on its way
+	completeRotation(forced) {
+		const rotation = this.rotation;
+		if (!rotation || !rotation.ready || !rotation.session) return;
+
+		if (!forced) {
+			const awaitingReply = this.lastActivityEndAt > this.lastTurnCompleteAt &&
+				Date.now() - this.lastActivityEndAt < this.responseGraceMs;
+			if (this.activityOpen || this.connectionState.is('responding') || awaitingReply) return;
+		}
+
+		console.log(`[GEMINI] Handing over to replacement session${forced ? ' (forced)' : ''}`);
+		const oldSession = this.session;
+		this.clearRotationTimers(rotation);
+		this.rotation = null;
+
+		// From here the old session's callbacks are stale
+		this.sessionGeneration = rotation.generation;
+		this.session = rotation.session;
+		if (rotation.handle) {
+			this.resumptionHandle = rotation.handle;
+		}
+
+		// The old session may have been cut off mid-turn - its reply is gone, along with any repair in progress
+		this.accumulatedText = '';
+		this.repairAttempt = 0;
+		this.typedTurn = null;
+		if (this.connectionState.is('responding')) {
+			this.connectionState.transition('listening');
+		}
+
+		// Mid-utterance - replay what the old session heard of it so the new one gets the whole thing
+		if (this.activityOpen) {
+			this.activityOpen = false;
+			this.pendingInput = this.handoverInput.concat(this.pendingInput);
+		}
+		this.handoverInput = [];
+		this.flushPendingInput();
+
+		if (oldSession) {
+			oldSession.close();
+		}
+		this.scheduleRotation();
+	}
+
+	abandonRotation() {
+		const rotation = this.rotation;
+		if (!rotation) return;
+
+		this.clearRotationTimers(rotation);
+		this.rotation = null;
+		this.handoverInput = [];
+		if (rotation.session) {
+			rotation.session.close();
+		}
+	}
+
+	clearRotationTimers(rotation) {
+		clearInterval(rotation.checkTimer);
+		clearTimeout(rotation.deadlineTimer);
+	}
+
+	// Exponential backoff with jitter - keeps the mic running and the transcript intact
+	scheduleReconnect(reason) {
+		if (this.reconnectTimer) return;
+
+		// Any half-received turn is lost, and the new session never saw the start of an utterance that's still going
+		this.accumulatedText = '';
+		this.repairAttempt = 0;
+		this.activityOpen = false;
+
+		if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+			console.error('[GEMINI] Giving up after', this.reconnectAttempt, 'reconnect attempts');
+			this.fail('Disconnected - ' + reason);
+			return;
+		}
+
+		// A stale handle keeps failing - fall back to a fresh session
+		if (this.reconnectAttempt >= 2 && this.resumptionHandle) {
+			console.log('[GEMINI] Dropping resumption handle, starting a fresh session');
+			this.resumptionHandle = null;
+		}
+
+		const baseDelay = Math.min(this.reconnectMaxDelayMs, this.reconnectBaseDelayMs * 2 ** this.reconnectAttempt);
+		const delay = baseDelay * (0.8 + Math.random() * 0.4);
+		this.reconnectAttempt++;
+
+		console.log(`[GEMINI] Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempt}/${this.maxReconnectAttempts})`);
+		this.connectionState.transition('reconnecting', {
+			message: `Connection lost - reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempt}/${this.maxReconnectAttempts})`
+		});
+
+		this.reconnectTimer = setTimeout(async () => {
+			this.reconnectTimer = null;
+			try {
+				await this.openSession();
+			} catch (error) {
+				console.error('[GEMINI] Reconnect failed:', error);
+				this.session = null;
+				this.scheduleReconnect(error.message);
+			}
+		}, delay);
+	}
+
+	// The server has accepted our setup - safe to start (or resume) streaming
+	handleSetupComplete() {
+		if (!this.connectionState.is('setup')) return;
+
+		const resumed = this.hasSession;
+		this.hasSession = true;
+		this.reconnectAttempt = 0;
+
+		if (resumed) {
+			// Mic kept running through a reconnect - replay what was buffered while we were away
+			console.log(`[GEMINI] Session restored, replaying ${this.pendingInput.length} buffered messages`);
+			this.connectionState.transition('listening', { message: 'Reconnected. Start speaking...' });
+			this.flushPendingInput();
+		} else {
+			this.connectionState.transition('listening', { message: 'Ready. Start speaking...' });
+		}
+		this.scheduleRotation();
+		this.onReady({ resumed });
+	}
+
+	// All realtime input goes through here so it can be held back while the connection is down
+	sendRealtimeInput(params, durationMs = 0) {
+		if (!this.connectionState.isStreaming || !this.session) {
+			this.bufferPendingInput(params, durationMs);
+			return;
+		}
+
+		// A fresh session never saw the start of an utterance that was already going - open one for it
+		if (params.audio && !this.activityOpen) {
+			this.sendRealtimeInput({ activityStart: {} });
+		}
+
+		try {
+			this.session.sendRealtimeInput(params);
+			this.trackActivityOpen(params);
+			this.recordHandoverInput(params, durationMs);
+		} catch (error) {
+			console.error('[AUDIO] Error sending realtime input:', error);
+			// Connection is probably going down - keep it for replay once we're back
+			this.bufferPendingInput(params, durationMs);
+		}
+	}
+
+	trackActivityOpen(params) {
+		if (params.activityStart) this.activityOpen = true;
+		if (params.activityEnd) {
+			this.activityOpen = false;
+			this.lastActivityEndAt = Date.now();
+		}
+	}
+
+	// While a replacement session warms up, keep the utterance in progress in case we have to hand over mid-way
+	recordHandoverInput(params, durationMs) {
+		if (!this.rotation) return;
+		if (params.activityStart) this.handoverInput = [];
+		if (params.activityStart || this.activityOpen) {
+			this.handoverInput.push({ params, durationMs });
+		}
+		if (params.activityEnd) this.handoverInput = [];
+	}
+
+	bufferPendingInput(params, durationMs) {
+		this.pendingInput.push({ params, durationMs });
+		this.pendingMs += durationMs;
+
+		// Bounded window - drop the oldest audio first
+		while (this.pendingMs > this.reconnectBufferMs && this.pendingInput.length > 0) {
+			this.pendingMs -= this.pendingInput.shift().durationMs;
+		}
+	}
+
+	flushPendingInput() {
+		const pending = this.pendingInput;
+		this.pendingInput = [];
+		this.pendingMs = 0;
+
+		for (const { params, durationMs } of pending) {
+			// Trimming can cut an utterance in half - keep the markers paired for the new session
+			if (params.activityEnd && !this.activityOpen) continue;
+			if (params.activityStart && this.activityOpen) continue;
+			this.sendRealtimeInput(params, durationMs);
+		}
+	}
+
+	handleGeminiResponse(message) {
+		try {
+			console.log('[GEMINI] Processing message:', message);
+			console.log('[GEMINI] serverContent:', message.serverContent);
+
+			// Keep the latest resumption handle for reconnects
+			const resumption = message.sessionResumptionUpdate;
+			if (resumption && resumption.resumable && resumption.newHandle) {
+				this.resumptionHandle = resumption.newHandle;
+				console.log('[GEMINI] Resumption handle updated');
+			}
+
+			if (message.setupComplete) {
+				this.handleSetupComplete();
+			}
+
+			// Billed tokens for the turn - the usage meter prices them
+			if (message.usageMetadata) {
+				this.onUsage(message.usageMetadata);
+			}
+
+			// Server is about to close this connection - move to a fresh one before it does
+			if (message.goAway) {
+				this.handleGoAway(message.goAway);
+			}
+
+			// Handle audio responses - every part can carry a PCM chunk
+			const audioParts = (message.serverContent?.modelTurn?.parts || []).filter(part => part.inlineData?.mimeType?.startsWith('audio/'));
+			for (const part of audioParts) {
+				this.onAudio(part.inlineData.data, part.inlineData.mimeType);
+			}
+
+			// Text of what Uni is saying in audio mode
+			const outputTranscription = message.serverContent?.outputTranscription;
+			if (outputTranscription?.text) {
+				this.spokenText += outputTranscription.text;
+			}
+
+			// What the speaker is saying, streamed while they talk
+			const inputTranscription = message.serverContent?.inputTranscription;
+			if (inputTranscription?.text) {
+				const isNew = this.inputTranscript === '';
+				this.inputTranscript += inputTranscription.text;
+				this.onInputTranscript(this.inputTranscript.trim(), isNew);
+			}
+
+			// Uni reacting through the visualizer tools
+			if (message.toolCall) {
+				this.handleToolCall(message.toolCall);
+			}
+			if (message.toolCallCancellation) {
+				console.log('[TOOLS] Calls cancelled:', message.toolCallCancellation.ids);
+			}
+
+			// Handle interruption
+			const interrupted = message.serverContent?.interrupted;
+			if (interrupted) {
+				console.log('[GEMINI] User interrupted - clearing sources');
+				this.onInterrupted();
+			}
+
+			// Handle text responses
+			if (message.serverContent?.modelTurn) {
+				if (this.connectionState.is('listening')) {
+					this.connectionState.transition('responding');
+					console.log('[GEMINI] Model turn started');
+				}
+
+				const parts = message.serverContent.modelTurn.parts;
+				console.log('[GEMINI] Parts:', parts);
+				if (parts && parts.length > 0) {
+					// Accumulate text from this streaming chunk
+					for (const part of parts) {
+						console.log('[GEMINI] Part:', part, 'Has text:', !!part.text, 'Has audio:', !!part.inlineData);
+						if (part.text) {
+							console.log('[GEMINI] Found text:', part.text);
+							if (this.accumulatedText === '') {
+								this.startPartialResult();
+							}
+							this.accumulatedText += part.text;
+							this.handlePartialText(part.text);
+						}
+						// With TEXT modality, we should consistently get text responses
+					}
+				}
+			}
+
+			// Check for turn complete - Gemini finished responding
+			if (message.serverContent?.turnComplete) {
+				console.log('[GEMINI] Turn complete - processing full response');
+				console.log('[GEMINI] Accumulated text so far:', this.accumulatedText);
+				this.lastTurnCompleteAt = Date.now();
+
+				// Process text response
+				if (this.accumulatedText && this.accumulatedText.trim().length > 0) {
+					const parsed = this.strictSchema ? this.handleStrictTurn(this.accumulatedText) : this.parseResponse(this.accumulatedText);
+					const responseData = parsed && this.reconcileTranscript(this.applyMood(parsed));
+					
+					if (responseData) {
+						console.log('[GEMINI] Parsed response:', responseData);
+						this.onResult(responseData);
+					}
+
+					// Reset for next turn
+					this.accumulatedText = '';
+				} else if (this.spokenText.trim().length > 0) {
+					// Audio mode - what Uni said out loud stands in for the analysis
+					const spoken = this.spokenText.trim();
+					this.onResult(this.reconcileTranscript(this.applyMood({ transcript: null, analysis: spoken, emoji: this.extractEmoji(spoken), spoken: true })));
+				} else {
+					console.log('[GEMINI] Turn complete but no text received');
+				}
+				this.spokenText = '';
+				this.turnMood = null;
+				// A repaired reply still answers the same speech
+				if (this.repairAttempt === 0) {
+					this.inputTranscript = '';
+					this.typedTurn = null;
+				}
+
+				if (this.connectionState.is('responding')) {
+					this.connectionState.transition('listening', { message: 'Streaming audio...' });
+				}
+			}
+
+		} catch (error) {
+			console.error('[GEMINI] Error processing response:', error, 'Message:', message);
+			this.accumulatedText = '';
+			if (this.connectionState.is('responding')) {
+				this.connectionState.transition('listening');
+			}
+		}
+	}
+
+	// Validate and dispatch each call, then answer all of them in one toolResponse
+	handleToolCall(toolCall) {
+		if (this.connectionState.is('listening')) {
+			this.connectionState.transition('responding');
+		}
+
+		const functionResponses = (toolCall.functionCalls || []).map(({ id, name, args }) => {
+			const errors = validateToolCall(name, args);
+			if (errors.length > 0) {
+				console.warn(`[TOOLS] Rejected ${name}:`, errors);
+				return { id, name, response: { error: errors.map(e => e.field ? `${e.field} ${e.message}` : e.message).join('; ') } };
+			}
+
+			console.log(`[TOOLS] ${name}`, args);
+			if (name === 'set_mood') {
+				this.turnMood = { ...args };
+				this.lastMood = this.turnMood;
+			}
+			this.onToolCall(name, args);
+			return { id, name, response: { result: 'ok' } };
+		});
+
+		if (functionResponses.length === 0 || !this.session) return;
+		try {
+			this.session.sendToolResponse({ functionResponses });
+		} catch (error) {
+			console.error('[TOOLS] Could not send tool response:', error);
+		}
+	}
+
+	// Fill the visual fields the text left out from set_mood - this turn's call, or the last one if it didn't make one
+	applyMood(responseData) {
+		const mood = this.turnMood || this.lastMood;
+		if (!mood) return responseData;
+
+		const merged = { ...responseData };
+		for (const field of VISUAL_FIELDS) {
+			if (merged[field] === undefined || merged[field] === null) {
+				merged[field] = mood[field];
+			}
+		}
+		return merged;
+	}
+
+	// The server's transcription wins over whatever the model wrote - the model's version stays in raw for comparison
+	reconcileTranscript(responseData) {
+		if (this.typedTurn !== null) {
+			return { ...responseData, transcript: this.typedTurn, modelTranscript: responseData.transcript || null, transcriptSource: 'typed' };
+		}
+
+		const native = this.inputTranscript.trim();
+		if (!native) {
+			return { ...responseData, transcriptSource: responseData.transcript ? 'model' : null };
+		}
+
+		if (responseData.transcript && responseData.transcript !== native) {
+			console.log('[GEMINI] Model transcript differs from input transcription:', responseData.transcript, '->', native);
+		}
+		return { ...responseData, transcript: native, modelTranscript: responseData.transcript || null, transcriptSource: 'native' };
+	}
+
+	startPartialResult() {
+		this.partialParser.reset();
+		this.partialResult = {};
+	}
+
+	// Fields surface as soon as they're complete and valid - the turnComplete parse still has the final say
+	handlePartialText(text) {
+		if (!this.streamPartials || this.responseMode === 'audio') return;
+
+		for (const [field, value] of this.partialParser.push(text)) {
+			if (checkField(field, value)) continue;
+			this.partialResult[field] = value;
+			this.onPartialResult({ ...this.partialResult }, field);
+		}
+	}
+
+	// Strict path - only a reply that passes the schema is used as-is
+	// Returns null while a corrected reply is on its way
+	handleStrictTurn(text) {
+		const { valid, data, errors } = validateResponse(text, this.getReplyFields());
+		const attempt = this.repairAttempt;
+
+		if (valid) {
+			this.repairAttempt = 0;
+			this.recordValidation(attempt > 0 ? 'repaired' : 'validFirstTime', errors, attempt);
+			const { transcript, analysis, sentiment, emotion, emoji, confidence, color, speed, smooth } = data;
+			return { transcript, analysis, sentiment, emotion, emoji, confidence, color, speed, smooth, raw: data };
+		}
+
+		console.warn('[SCHEMA] Invalid response:', errors.map(e => `${e.field || 'response'} ${e.message}`).join('; '));
+
+		if (attempt < this.maxRepairAttempts && this.requestRepair(errors)) {
+			this.repairAttempt++;
+			this.recordValidation('repairing', errors, attempt);
+			return null;
+		}
+
+		// Out of retries - show what the lenient parser can salvage, but count it as a failure
+		this.repairAttempt = 0;
+		this.recordValidation('failed', errors, attempt);
+		return this.parseResponse(text);
+	}
+
+	requestRepair(errors) {
+		if (!this.session || !this.connectionState.isStreaming) return false;
+
+		try {
+			this.session.sendClientContent({
+				turns: [{ role: 'user', parts: [{ text: buildRepairPrompt(errors) }] }],
+				turnComplete: true
+			});
+		} catch (error) {
+			console.error('[SCHEMA] Could not send repair turn:', error);
+			return false;
+		}
+
+		// A reply is on its way - don't rotate the session out from under it
+		this.lastActivityEndAt = Date.now();
+		this.validationMetrics.repairTurnsSent++;
+		console.log(`[SCHEMA] Asked for a corrected reply (attempt ${this.repairAttempt + 1}/${this.maxRepairAttempts})`);
+		return true;
+	}
+
+	// outcome is 'validFirstTime', 'repaired', 'failed' or 'repairing' (an attempt that will be retried)
+	recordValidation(outcome, errors, attempt) {
+		const metrics = this.validationMetrics;
+		for (const { field } of errors) {
+			const key = field || 'response';
+			metrics.fieldErrors[key] = (metrics.fieldErrors[key] || 0) + 1;
+		}
+
+		if (outcome !== 'repairing') {
+			metrics.turns++;
+			metrics[outcome]++;
+			const failureRate = metrics.failed / metrics.turns * 100;
+			const firstTimeRate = metrics.validFirstTime / metrics.turns * 100;
+			console.log(`[SCHEMA] ${metrics.turns} turns: ${firstTimeRate.toFixed(0)}% valid first time, ${metrics.repaired} repaired, ${metrics.failed} failed (${failureRate.toFixed(1)}% failure rate)`);
+		}
+
+		this.onValidation({ outcome, errors, attempt, metrics });
+	}
+
+	// Parse response - normalize Gemini's actual response format
+	// Handles variations: transcription vs transcript, nested analysis objects, etc.
+	parseResponse(text) {
+		try {
+			// Try to parse as JSON first
+			let jsonData;
+			try {
+				jsonData = JSON.parse(text.trim());
+			} catch (e) {
+				// Not valid JSON, try to extract JSON from text if wrapped
+				const jsonMatch = text.match(/\{[\s\S]*\}/);
+				if (jsonMatch) {
+					jsonData = JSON.parse(jsonMatch[0]);
+				} else {
+					throw new Error('No JSON found');
+				}
+			}
+			
+			// Normalize the response to our expected format
+			// Handle field name variations
+			const transcript = jsonData.transcript || jsonData.transcription || null;
+			
+			// Handle analysis - could be string or nested object
+			let analysis = null;
+			if (typeof jsonData.analysis === 'string') {
+				analysis = jsonData.analysis;
+			} else if (typeof jsonData.analysis === 'object' && jsonData.analysis !== null) {
+				// Nested analysis object - extract the most relevant field
+				const analysisObj = jsonData.analysis;
+				if (analysisObj.uni_personal_reaction) {
+					analysis = analysisObj.uni_personal_reaction;
+				} else if (analysisObj.response_suggestion) {
+					analysis = analysisObj.response_suggestion;
+				} else {
+					// Build from components
+					const parts = [];
+					if (analysisObj.sentiment?.overall) parts.push(`Sentiment: ${analysisObj.sentiment.overall}`);
+					if (analysisObj.tone) parts.push(`Tone: ${analysisObj.tone}`);
+					if (analysisObj.emotion_detected) parts.push(`Emotion: ${analysisObj.emotion_detected}`);
+					analysis = parts.join('. ') || JSON.stringify(analysisObj);
+				}
+			}
+			
+			// Extract all fields - handle both string and nested sentiment
+			let sentiment = null;
+			if (typeof jsonData.sentiment === 'string') {
+				sentiment = jsonData.sentiment;
+			} else if (jsonData.sentiment?.overall) {
+				sentiment = jsonData.sentiment.overall;
+			} else if (jsonData.analysis?.sentiment?.overall) {
+				sentiment = jsonData.analysis.sentiment.overall;
+			}
+			
+			// Extract emotion - could be top level or in analysis
+			let emotion = jsonData.emotion || jsonData.analysis?.emotion_detected || null;
+			
+			// Extract emoji
+			const emoji = jsonData.emoji || null;
+			
+			// Extract confidence - handle string or number
+			let confidence = jsonData.confidence;
+			if (typeof confidence === 'string') {
+				confidence = parseFloat(confidence);
+			}
+			if (isNaN(confidence) || confidence === null || confidence === undefined) {
+				confidence = null;
+			}
+			
+			// Extract visualization fields
+			let color = jsonData.color || null;
+			// Handle hex color format - normalize to string with #
+			if (color) {
+				// Remove 0x prefix if present, add # prefix
+				color = String(color).replace(/^0x/i, '#');
+				// Ensure it starts with #
+				if (!color.startsWith('#')) {
+					color = '#' + color;
+				}
+			}
+			
+			// Extract speed - handle string or number, normalize to -1 to 1 range
+			let speed = jsonData.speed;
+			if (typeof speed === 'string') {
+				speed = parseFloat(speed);
+			}
+			if (isNaN(speed) || speed === null || speed === undefined) {
+				speed = null;
+			} else {
+				// Clamp to -1 to 1 range
+				speed = Math.max(-1, Math.min(1, speed));
+			}
+			
+			// Extract smooth - handle string or number, normalize to 0 to 1 range
+			let smooth = jsonData.smooth;
+			if (typeof smooth === 'string') {
+				smooth = parseFloat(smooth);
+			}
+			if (isNaN(smooth) || smooth === null || smooth === undefined) {
+				smooth = null;
+			} else {
+				// Clamp to 0 to 1 range
+				smooth = Math.max(0, Math.min(1, smooth));
+			}
+			
+			// Build normalized response
+			const normalized = {
+				transcript,
+				analysis,
+				sentiment,
+				emotion,
+				emoji: emoji || '💬',
+				confidence,
+				color,
+				speed,
+				smooth,
+				// Keep raw data for debugging
+				raw: jsonData
+			};
+			
+			if (transcript || analysis) {
+				return normalized;
+			}
+		} catch (e) {
+			// JSON parsing failed, fall through to regex extraction
+			console.log('[GEMINI] JSON parse failed, using regex fallback:', e.message);
+		}
+		
+		// Fallback to regex extraction for unstructured responses
+		const transcript = this.extractTranscript(text);
+		const analysis = this.extractAnalysis(text);
+		const emoji = this.extractEmoji(text);
+		
+		if (transcript || analysis) {
+			return { transcript, analysis, emoji };
+		}
+		
+		return null;
+	}
+
+	extractTranscript(text) {
+		// Try to extract transcript from "Transcript: X" pattern
+		const transcriptMatch = text.match(/Transcript:\s*(.+?)(?:\n|Analysis:|Emoji:|$)/is);
+		if (transcriptMatch && transcriptMatch[1]) {
+			return transcriptMatch[1].trim();
+		}
+		return null;
+	}
+
+	extractAnalysis(text) {
+		// Try to extract analysis from "Analysis: X" pattern
+		const analysisMatch = text.match(/Analysis:\s*(.+?)(?:\n\s*Emoji:|$)/is);
+		if (analysisMatch && analysisMatch[1]) {
+			return analysisMatch[1].trim();
+		}
+		// Fallback: if no Analysis: tag, return everything except Transcript and Emoji
+		return text.replace(/Transcript:.*?(?=Analysis:|Emoji:|$)/is, '')
+			.replace(/Emoji:\s*.*/i, '')
+			.trim();
+	}
+
+	extractEmoji(text) {
+		// Try to extract emoji from "Emoji: X" pattern
+		// Look for the pattern and capture multiple characters to handle multi-codepoint emojis
+		const emojiMatch = text.match(/Emoji:\s*([^\s\n]+)/i);
+		if (emojiMatch && emojiMatch[1]) {
+			console.log('[EMOJI] Matched from pattern:', emojiMatch[1]);
+			// Take only the first few characters which should be the emoji
+			return emojiMatch[1].substring(0, 2);
+		}
+
+		// Fallback: extract any emoji from the text using comprehensive regex
+		const emojiRegex = /[\u{1F300}-\u{1F9FF}\u{1F600}-\u{1F64F}\u{1F680}-\u{1F6FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F1E0}-\u{1F1FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}]/u;
+		const match = text.match(emojiRegex);
+		if (match) {
+			console.log('[EMOJI] Matched from fallback:', match[0]);
+			return match[0];
+		}
+
+		console.log('[EMOJI] No match found, using default');
+		// Default fallback
+		return '💬';
+	}
+}
@@ -0,0 +1,67 @@
+// Input Gain - Software gain and a simple AGC, applied to captured audio before it is encoded and sent
+// For installations where the mic is too quiet (or too hot) and the browser's own AGC is off or not enough
+
+export class InputGain {
+	constructor(options = {}) {
+		// Config
+		this.gainDb = options.gainDb ?? 0; // Fixed gain, applied first
+		this.agc = options.agc ?? false; // Adapt on top of the fixed gain to keep speech near targetRms
+		this.targetRms = options.targetRms ?? 0.1; // About -20 dBFS
+		this.maxAgcDb = options.maxAgcDb ?? 20;
+		this.minAgcDb = options.minAgcDb ?? -20;
+		this.gateRms = options.gateRms ?? 0.005; // Below this the AGC holds - otherwise it would turn the room noise up between sentences
+		this.attack = options.attack ?? 0.3; // How fast the AGC turns down, per chunk (0-1)
+		this.release = options.release ?? 0.02; // How fast it turns up, per chunk (0-1)
+
+		// State
+		this.agcDb = 0;
+	}
+
+	get active() {
+		return this.agc || this.gainDb !== 0;
+	}
+
+	// Total gain currently applied
+	get currentGainDb() {
+		return this.gainDb + (this.agc ? this.agcDb : 0);
+	}
+
+	configure({ gainDb, agc } = {}) {
+		if (gainDb !== undefined) this.gainDb = gainDb;
+		if (agc !== undefined) this.agc = agc;
+	}
+
+	reset() {
+		this.agcDb = 0;
+	}
+
+	// Returns a new chunk with the gain applied - the input is left untouched
+	process(samples) {
+		let sumSquares = 0;
+		let peak = 0;
+		for (let i = 0; i < samples.length; i++) {
+			sumSquares += samples[i] * samples[i];
+			peak = Math.max(peak, Math.abs(samples[i]));
+		}
+		const fixed = Math.pow(10, this.gainDb / 20);
+		const rms = Math.sqrt(sumSquares / samples.length) * fixed;
+
+		if (this.agc && rms > this.gateRms) {
+			const wantedDb = Math.max(this.minAgcDb, Math.min(this.maxAgcDb, 20 * Math.log10(this.targetRms / rms)));
+			const rate = wantedDb < this.agcDb ? this.attack : this.release;
+			this.agcDb += (wantedDb - this.agcDb) * rate;
+		}
+
+		// Never push a chunk into clipping that wasn't clipping already
+		let gain = Math.pow(10, this.currentGainDb / 20);
+		if (gain > 1 && peak * gain > 0.99) {
+			gain = Math.max(1, 0.99 / peak);
+		}
+
+		const output = new Float32Array(samples.length);
+		for (let i = 0; i < samples.length; i++) {
+			output[i] = samples[i] * gain;
+		}
+		return output;
+	}
+}
@@ -0,0 +1,112 @@
+// Key Vault - The saved API key, encrypted with a passphrase (PBKDF2 -> AES-GCM via WebCrypto)
+// Nothing readable is left in localStorage; older builds' plaintext gemini_api_key is migrated on first unlock
+
+const VAULT_KEY = 'uni_api_key_vault';
+const LEGACY_KEY = 'gemini_api_key';
+const PBKDF2_ITERATIONS = 310000;
+
+export class KeyVault {
+	constructor(storage = window.localStorage) {
+		this.storage = storage;
+	}
+
+	// 'empty', 'locked' (encrypted key saved) or 'plaintext' (left by an older build, waiting to be encrypted)
+	getState() {
+		if (this.load()) return 'locked';
+		if (this.storage.getItem(LEGACY_KEY)) return 'plaintext';
+		return 'empty';
+	}
+
+	load() {
+		try {
+			const vault = JSON.parse(this.storage.getItem(VAULT_KEY) || 'null');
+			return vault && vault.data ? vault : null;
+		} catch (error) {
+			console.warn('[VAULT] Ignoring unreadable saved key');
+			return null;
+		}
+	}
+
+	isExpired(vault = this.load()) {
+		return !!(vault && vault.expiresAt && Date.now() > vault.expiresAt);
+	}
+
+	// expiresInMs null keeps it until it's forgotten
+	async save(apiKey, passphrase, expiresInMs = null) {
+		if (!passphrase) throw new Error('A passphrase is needed to save the key');
+
+		const salt = crypto.getRandomValues(new Uint8Array(16));
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+		const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+		this.storage.setItem(VAULT_KEY, JSON.stringify({
+			version: 1,
+			iterations: PBKDF2_ITERATIONS,
+			salt: toBase64(salt),
+			iv: toBase64(iv),
+			data: toBase64(new Uint8Array(data)),
+			savedAt: Date.now(),
+			expiresAt: expiresInMs ? Date.now() + expiresInMs : null
+		}));
+		// Saving encrypted is what retires the plaintext copy
+		this.storage.removeItem(LEGACY_KEY);
+		console.log('[VAULT] Saved encrypted key' + (expiresInMs ? `, expires ${new Date(Date.now() + expiresInMs).toLocaleString()}` : ''));
+	}
+
+	async unlock(passphrase) {
+		const vault = this.load();
+		if (!vault) throw new Error('No saved key');
+		if (this.isExpired(vault)) {
+			this.forget();
+			throw new Error('The saved key has expired - enter it again');
+		}
+
+		const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+		try {
+			const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+			return new TextDecoder().decode(data);
+		} catch (error) {
+			// GCM's tag check is the passphrase check
+			throw new Error('Wrong passphrase');
+		}
+	}
+
+	// Encrypts an older build's plaintext key under a passphrase - returns the key
+	async migrate(passphrase, expiresInMs = null) {
+		const apiKey = this.storage.getItem(LEGACY_KEY);
+		if (!apiKey) throw new Error('No unencrypted key to migrate');
+		await this.save(apiKey, passphrase, expiresInMs);
+		console.log('[VAULT] Migrated plaintext key');
+		return apiKey;
+	}
+
+	forget() {
+		this.storage.removeItem(VAULT_KEY);
+		this.storage.removeItem(LEGACY_KEY);
+		console.log('[VAULT] Forgot saved key');
+	}
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+	const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+	return crypto.subtle.deriveKey(
+		{ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+		material,
+		{ name: 'AES-GCM', length: 256 },
+		false,
+		['encrypt', 'decrypt']
+	);
+}
+
+function toBase64(bytes) {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary);
+}
+
+function fromBase64(text) {
+	return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
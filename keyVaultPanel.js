@@ -0,0 +1,135 @@
+// Key Vault Panel - Unlock prompt, "remember key" options and "forget key" for the encrypted saved key
+// The key itself only ever lands in the API key field; storage holds the encrypted copy (see keyVault.js)
+
+export class KeyVaultPanel {
+	constructor(vault, apiKeyInput) {
+		this.vault = vault;
+		this.apiKeyInput = apiKeyInput;
+
+		// DOM elements
+		this.promptDiv = document.getElementById('keyPrompt');
+		this.promptLabel = document.getElementById('keyPromptLabel');
+		this.passphraseInput = document.getElementById('keyPassphrase');
+		this.promptBtn = document.getElementById('keyPromptBtn');
+		this.rememberInput = document.getElementById('rememberKey');
+		this.rememberOptions = document.getElementById('rememberOptions');
+		this.rememberPassphraseInput = document.getElementById('rememberPassphrase');
+		this.expirySelect = document.getElementById('keyExpiry');
+		this.forgetBtn = document.getElementById('forgetKeyBtn');
+
+		// State
+		this.savedKey = null; // The key as unlocked/saved this page load - saving it again isn't needed
+
+		this.initializeEventListeners();
+	}
+
+	initializeEventListeners() {
+		this.promptBtn.addEventListener('click', () => this.handlePrompt());
+		this.passphraseInput.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				this.handlePrompt();
+			}
+		});
+
+		this.rememberInput.addEventListener('change', () => this.updateRememberOptions());
+		this.apiKeyInput.addEventListener('input', () => this.updateRememberOptions());
+
+		this.forgetBtn.addEventListener('click', () => {
+			this.vault.forget();
+			this.savedKey = null;
+			this.apiKeyInput.value = '';
+			this.rememberInput.checked = false;
+			this.refresh();
+			this.onStatus('Saved key forgotten');
+		});
+	}
+
+	// Shows the unlock (or migrate) prompt for whatever is in storage
+	refresh() {
+		let state = this.vault.getState();
+		if (state === 'locked' && this.vault.isExpired()) {
+			this.vault.forget();
+			state = 'empty';
+			this.onStatus('The saved key expired - enter it again');
+		}
+
+		const unlocked = this.savedKey !== null;
+		this.promptDiv.hidden = state === 'empty' || unlocked;
+		this.forgetBtn.hidden = state === 'empty';
+		if (state === 'locked') {
+			this.promptLabel.textContent = 'Saved key is locked - enter your passphrase:';
+			this.promptBtn.textContent = 'Unlock';
+		} else if (state === 'plaintext') {
+			this.promptLabel.textContent = 'A key was saved unencrypted by an older version - choose a passphrase to encrypt it:';
+			this.promptBtn.textContent = 'Encrypt';
+		}
+		if (!this.promptDiv.hidden) {
+			this.passphraseInput.focus();
+		}
+		this.updateRememberOptions();
+	}
+
+	async handlePrompt() {
+		const passphrase = this.passphraseInput.value;
+		if (!passphrase) return;
+
+		try {
+			const state = this.vault.getState();
+			const apiKey = state === 'plaintext'
+				? await this.vault.migrate(passphrase, this.getExpiry())
+				: await this.vault.unlock(passphrase);
+			this.savedKey = apiKey;
+			this.apiKeyInput.value = apiKey;
+			this.rememberInput.checked = true;
+			this.onStatus(state === 'plaintext' ? 'Saved key is now encrypted' : 'Key unlocked');
+		} catch (error) {
+			console.warn('[VAULT]', error.message);
+			this.onStatus(error.message);
+		}
+		this.passphraseInput.value = '';
+		this.refresh();
+	}
+
+	// A passphrase is only asked for when there's a new key to save
+	updateRememberOptions() {
+		const key = this.apiKeyInput.value.trim();
+		this.rememberOptions.hidden = !this.rememberInput.checked || !key || key === this.savedKey;
+	}
+
+	getExpiry() {
+		return this.expirySelect.value ? parseInt(this.expirySelect.value, 10) : null;
+	}
+
+	// Checked before connecting - returns a problem to show, or null
+	checkRemember(apiKey) {
+		if (!this.rememberInput.checked || apiKey === this.savedKey) return null;
+		return this.rememberPassphraseInput.value ? null : 'Enter a passphrase to remember the key, or untick "Remember key"';
+	}
+
+	// After the key has been accepted by a successful connection
+	async rememberKey(apiKey) {
+		if (!this.rememberInput.checked || !apiKey || apiKey === this.savedKey) return;
+
+		const passphrase = this.rememberPassphraseInput.value;
+		if (!passphrase) return;
+		await this.vault.save(apiKey, passphrase, this.getExpiry());
+		this.savedKey = apiKey;
+		this.rememberPassphraseInput.value = '';
+		this.refresh();
+	}
+
+	setDisabled(disabled) {
+		this.passphraseInput.disabled = disabled;
+		this.promptBtn.disabled = disabled;
+		this.rememberInput.disabled = disabled;
+		this.rememberPassphraseInput.disabled = disabled;
+		this.expirySelect.disabled = disabled;
+		this.forgetBtn.disabled = disabled;
+	}
+
+	// Callbacks for external events
+	onStatus(message) {
+		// Override this in ui.js
+	}
+}
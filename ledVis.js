@@ -17,6 +17,11 @@ export class LEDVisualizer {
 		this.animationParams = {};
 		this.speed = -1.4;
 		this.offset = 0.015;
+		this.activity = {value: 0}; // 0 = silence, 1 = someone is speaking
+		this.flash = {value: 0}; // Brief brightness boost from pulse()
+		this.talk = {armed: 0, recording: 0}; // Push-to-talk state on the outer turns of the spiral
+		this.armedColor = hexToRgba("#ffffff");
+		this.recordingColor = hexToRgba("#ff2a2a");
 
 		this.color1 = {color: hexToRgba("#353962")};
 		this.color2 = {color: hexToRgba("#41527f")};
@@ -98,8 +103,8 @@ export class LEDVisualizer {
 	update() {
 
 
-		//idle breathing
-		let bMin = 0.0;
+		//idle breathing - lift the floor while someone is speaking
+		let bMin = Math.min(1.0, this.activity.value * 0.4 + this.flash.value);
 		let bMax = 1.0;
 		//this.ledCount = 1;
 		for (let i = 0; i < this.ledCount; i++) {
@@ -111,6 +116,13 @@ export class LEDVisualizer {
 
 			this.leds[i].brightness = brightness;
 			let color = mixRgba(this.color1.color, mixRgba(this.color2.color), brightness);
+
+			// Armed tints the rim, recording turns it red - on top of whatever the mood is
+			if (iT > 0.85 && (this.talk.armed > 0 || this.talk.recording > 0)) {
+				color = mixRgba(color, this.armedColor, this.talk.armed * 0.35);
+				color = mixRgba(color, this.recordingColor, this.talk.recording * 0.85);
+				this.leds[i].brightness = Math.max(brightness, this.talk.recording);
+			}
 			this.leds[i].color = color;
 		}
 	}
@@ -218,6 +230,21 @@ export class LEDVisualizer {
 		}
 	}
 
+	// Brighten the ring while the VAD hears speech, without touching the mood colors
+	setSpeaking(speaking) {
+		gsap.to(this.activity, { duration: speaking ? 0.2 : 0.8, value: speaking ? 1 : 0, ease: "quad.inOut", overwrite: true});
+	}
+
+	// 'off', 'armed' (waiting for the talk button) or 'recording' (button held / toggled on)
+	setTalkState(state) {
+		gsap.to(this.talk, { duration: 0.2, armed: state === 'armed' ? 1 : 0, recording: state === 'recording' ? 1 : 0, ease: "quad.inOut", overwrite: true});
+	}
+
+	// Momentary flash that decays on its own - stronger flashes last longer
+	pulse(intensity) {
+		gsap.fromTo(this.flash, {value: intensity}, {duration: 0.3 + intensity * 0.9, value: 0, ease: "quad.out", overwrite: true});
+	}
+
 	setBrightness(brightness) {
 		for (let i = 0; i < this.ledCount; i++) {
 			this.leds[i].brightness = clamp(brightness, 0, 1);
@@ -0,0 +1,121 @@
+// Level Meter - RMS/peak levels, clipping and sustained silence for the input stream
+// Fed the same chunks as the VAD, plus the raw chunk from before software gain; Mic forwards the 'level', 'clipping', 'silence' and 'signal' events to the UI
+
+export class LevelMeter extends EventTarget {
+	constructor(options = {}) {
+		super();
+
+		// Config
+		this.sampleRate = options.sampleRate || 16000;
+		this.levelIntervalMs = options.levelIntervalMs ?? 50; // 'level' events are throttled to this - the meter doesn't need every chunk
+		this.clipThreshold = options.clipThreshold ?? 0.99; // Peak at or above this counts as clipping
+		this.clipHoldMs = options.clipHoldMs ?? 1000; // Clipping stays flagged this long after the last clipped chunk
+		this.silenceThreshold = options.silenceThreshold ?? 0.002; // RMS below this (about -54 dBFS) counts as nothing picked up
+		this.silenceMs = options.silenceMs ?? 10000; // How long it has to last before 'silence' fires
+
+		this.reset(this.sampleRate);
+	}
+
+	reset(sampleRate = this.sampleRate) {
+		this.sampleRate = sampleRate;
+		this.rms = 0;
+		this.peak = 0;
+		this.clipping = false;
+		this.silent = false;
+		this.elapsedMs = 0;
+		this.lastClipAt = -Infinity;
+		this.silenceRunMs = 0;
+		this.intervalMs = 0;
+		this.intervalPeak = 0;
+		this.intervalSquares = 0;
+		this.intervalSamples = 0;
+	}
+
+	// Feed one chunk of float32 samples - raw is the same chunk before any software gain
+	// The level shown is what gets sent; clipping and silence are judged on raw, since gain can neither cause nor hide them at the ADC
+	process(samples, raw = samples) {
+		if (!samples || samples.length === 0) return;
+
+		const durationMs = samples.length / this.sampleRate * 1000;
+		const { sumSquares, peak } = measure(samples);
+		const input = raw === samples ? { sumSquares, peak } : measure(raw);
+
+		this.elapsedMs += durationMs;
+		this.rms = Math.sqrt(sumSquares / samples.length);
+		this.peak = peak;
+
+		this.checkClipping(input.peak);
+		this.checkSilence(durationMs, Math.sqrt(input.sumSquares / raw.length));
+
+		// Level over the whole interval, so short transients between events still show up
+		this.intervalMs += durationMs;
+		this.intervalSquares += sumSquares;
+		this.intervalSamples += samples.length;
+		this.intervalPeak = Math.max(this.intervalPeak, peak);
+		if (this.intervalMs >= this.levelIntervalMs) {
+			const rms = Math.sqrt(this.intervalSquares / this.intervalSamples);
+			this.emit('level', {
+				rms,
+				peak: this.intervalPeak,
+				rmsDb: toDb(rms),
+				peakDb: toDb(this.intervalPeak),
+				clipping: this.clipping,
+				silent: this.silent
+			});
+			this.intervalMs = 0;
+			this.intervalSquares = 0;
+			this.intervalSamples = 0;
+			this.intervalPeak = 0;
+		}
+	}
+
+	checkClipping(peak) {
+		if (peak >= this.clipThreshold) {
+			// One event per run of clipping, not one per chunk
+			if (!this.clipping) {
+				this.clipping = true;
+				this.emit('clipping', { peak });
+			}
+			this.lastClipAt = this.elapsedMs;
+		} else if (this.clipping && this.elapsedMs - this.lastClipAt > this.clipHoldMs) {
+			this.clipping = false;
+		}
+	}
+
+	checkSilence(durationMs, rms) {
+		if (rms < this.silenceThreshold) {
+			this.silenceRunMs += durationMs;
+			if (!this.silent && this.silenceRunMs >= this.silenceMs) {
+				this.silent = true;
+				this.emit('silence', { durationMs: this.silenceRunMs });
+			}
+		} else {
+			this.silenceRunMs = 0;
+			if (this.silent) {
+				this.silent = false;
+				this.emit('signal', { rms });
+			}
+		}
+	}
+
+	emit(type, detail) {
+		this.dispatchEvent(new CustomEvent(type, { detail }));
+	}
+}
+
+function measure(samples) {
+	let sumSquares = 0;
+	let peak = 0;
+	for (let i = 0; i < samples.length; i++) {
+		const sample = samples[i];
+		sumSquares += sample * sample;
+		const magnitude = sample < 0 ? -sample : sample;
+		if (magnitude > peak) peak = magnitude;
+	}
+	return { sumSquares, peak };
+}
+
+// dBFS, floored so silence doesn't come out as -Infinity
+export function toDb(level) {
+	return level > 0 ? Math.max(-100, 20 * Math.log10(level)) : -100;
+}
@@ -8,12 +8,121 @@ import { Mic } from './mic.js';
 const uiDisplay = new UIDisplay();
 const geminiAudio = new Mic(uiDisplay);
 
+// ?baseUrl=http://localhost:8787 points the session at the local mock server (npm run mock)
+const params = new URLSearchParams(window.location.search);
+if (params.get('baseUrl')) {
+	geminiAudio.baseUrl = params.get('baseUrl');
+	console.log('[MAIN] Using Live endpoint:', geminiAudio.baseUrl);
+}
+
+// ?proxy=http://localhost:8790 connects through the local key proxy (npm run proxy) - no key in the page
+// Add &proxyMode=relay to send the Live socket through it instead of fetching ephemeral tokens
+if (params.get('proxy')) {
+	geminiAudio.keyProxyUrl = params.get('proxy');
+	geminiAudio.keyProxyMode = params.get('proxyMode') === 'relay' ? 'relay' : 'token';
+	uiDisplay.setKeyProxied(true);
+	console.log(`[MAIN] Using key proxy (${geminiAudio.keyProxyMode}):`, geminiAudio.keyProxyUrl);
+}
+
+// The reply format depends on the backend's tools/transcription settings, so it's generated rather than edited
+uiDisplay.personaEditor.setFormatPreview(geminiAudio.backend.describeReplyFormat());
+
 // Set up event handlers
-uiDisplay.onConnectRequested = async (apiKey) => {
-	uiDisplay.updateStatus('Connecting to Gemini...');
-	await geminiAudio.connect(apiKey);
+uiDisplay.onConnectRequested = async (apiKey, options) => {
+	await geminiAudio.connect(apiKey, options);
 };
 
 uiDisplay.onDisconnectRequested = () => {
 	geminiAudio.disconnect();
+};
+
+uiDisplay.onReplayRequested = (utterance) => {
+	return geminiAudio.replayUtterance(utterance);
+};
+
+uiDisplay.onExportRequested = () => {
+	geminiAudio.exportSession();
+};
+
+// Recorded file input
+uiDisplay.onInputModeChanged = (mode) => {
+	geminiAudio.setInputMode(mode);
+};
+
+uiDisplay.onInputFileSelected = async (file) => {
+	uiDisplay.setFileLoaded(await geminiAudio.loadInputFile(file));
+};
+
+// Microphone selection - applied to the live stream without reconnecting
+uiDisplay.setAudioProcessing(geminiAudio.audioProcessing);
+geminiAudio.refreshDevices();
+
+uiDisplay.onInputDeviceChanged = (deviceId) => {
+	geminiAudio.setInputDevice(deviceId);
+};
+
+uiDisplay.onAudioProcessingChanged = (options) => {
+	geminiAudio.setAudioProcessing(options);
+};
+
+// Software gain / AGC - applied before encoding, shown on the level meter
+uiDisplay.setInputGain({ gainDb: geminiAudio.inputGain.gainDb, agc: geminiAudio.inputGain.agc });
+
+uiDisplay.onInputGainChanged = (options) => {
+	geminiAudio.setInputGain(options);
+};
+
+// Turn control - continuous (VAD), push-to-talk or toggle
+uiDisplay.setCaptureMode(geminiAudio.captureMode);
+
+uiDisplay.onCaptureModeChanged = (mode) => {
+	geminiAudio.setCaptureMode(mode);
+};
+
+uiDisplay.onTalkStart = () => {
+	geminiAudio.startTalking();
+};
+
+uiDisplay.onTalkEnd = () => {
+	geminiAudio.stopTalking();
+};
+
+// Usage meter - budgets persist, the hard one pauses streaming until changed or overridden
+uiDisplay.setUsageBudget({ softLimitUsd: geminiAudio.usageMeter.softLimitUsd, hardLimitUsd: geminiAudio.usageMeter.hardLimitUsd });
+
+uiDisplay.onUsageBudgetChanged = (limits) => {
+	geminiAudio.setUsageBudget(limits);
+};
+
+uiDisplay.onResumeStreaming = () => {
+	geminiAudio.resumeStreaming();
+};
+
+// Price table overrides - merged over the estimates in usageMeter.js
+uiDisplay.setUsagePrices(geminiAudio.usagePrices);
+
+uiDisplay.onUsagePricesChanged = (overrides) => {
+	return geminiAudio.setUsagePrices(overrides);
+};
+
+// Typed turns
+uiDisplay.onTextSubmitted = (text) => {
+	return geminiAudio.sendText(text);
+};
+
+uiDisplay.onFilePlayToggle = () => {
+	const player = geminiAudio.filePlayer;
+	if (player.playing) {
+		player.pause();
+	} else {
+		player.play();
+	}
+};
+
+uiDisplay.onFileSeek = (seconds) => {
+	geminiAudio.filePlayer.seek(seconds);
+};
+
+uiDisplay.onFileSpeedChanged = (speed) => {
+	geminiAudio.filePlayer.setSpeed(speed);
 };
\ No newline at end of file
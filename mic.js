@@ -1,40 +1,169 @@
-// Gemini Live Audio Module - Handles WebSocket connection, audio processing, and response handling
-import { GoogleGenAI, Modality } from '@google/genai';
+// Mic Module - Handles audio capture, voice activity detection and playback
+// Transport and response parsing live behind an analysis backend (see analysisBackend.js)
+import { VoiceActivityDetector } from './vad.js';
+import { ConnectionStateMachine } from './connectionState.js';
+import { GeminiLiveBackend } from './geminiLiveBackend.js';
+import { AudioFilePlayer } from './filePlayer.js';
+import { SessionRecorder } from './sessionRecorder.js';
+import { LevelMeter } from './levelMeter.js';
+import { InputGain } from './inputGain.js';
+import { UsageMeter, mergePrices } from './usageMeter.js';
+// Bundled as a worker so the worklet's own imports (resampler) are resolved
+import captureWorkletUrl from './captureWorklet.js?worker&url';
 
 export class Mic {
-	constructor(uiDisplay) {
+	constructor(uiDisplay, backend = null) {
 		this.ui = uiDisplay;
 
 		// State
-		this.client = null;
-		this.session = null;
 		this.inputAudioContext = null;
 		this.outputAudioContext = null;
 		this.mediaStream = null;
+		this.micSource = null;
+		this.micSwap = Promise.resolve();
 		this.audioProcessor = null;
+		this.workletContext = null;
+		this.captureSampleRate = null;
 		this.isRecording = false;
-		this.setupComplete = false;
-		this.accumulatedText = '';
-		this.currentTurnActive = false;
+		this.talkActive = false;
 		this.audioChunkCount = 0;
 		this.sources = new Set();
+		this.nextStartTime = 0;
+		this.isPlaying = false;
+		this.playbackEndTimer = null;
+		this.vad = null;
+		this.prerollChunks = [];
+		this.prerollSamples = 0;
+		this.apiKey = null;
+		this.recorder = new SessionRecorder();
+		this.replayContext = null;
+		this.replaySource = null;
+
+		// Connection state - the backend drives it, the UI follows it through change events
+		this.connectionState = new ConnectionStateMachine();
+		this.connectionState.addEventListener('change', (event) => {
+			this.handleStateChange(event.detail);
+			this.ui.updateConnectionState(event.detail);
+		});
 
 		// Config
-		this.inputSampleRate = 16000;
+		this.inputSampleRate = 16000; // Rate sent to the backend
+		this.resampleInput = true; // Convert to inputSampleRate when the AudioContext runs at another rate
 		this.outputSampleRate = 24000;
-		this.model = 'gemini-live-2.5-flash-preview';
+		this.responseMode = 'text'; // 'text' for JSON analysis, 'audio' for Uni to speak back
+		this.baseUrl = null; // Passed to the backend - null uses the provider's default endpoint
+		this.keyProxyUrl = null; // Local key proxy (server/keyProxy.js) - when set, no API key is used in the page
+		this.keyProxyMode = 'token'; // 'token' fetches an ephemeral token per session, 'relay' sends the Live socket through the proxy
+		this.micWhilePlaying = 'duck'; // 'gate' drops mic input while Uni talks, 'duck' attenuates it
+		this.duckGain = 0.15;
+		this.playbackTailMs = 300; // Keep the mic gated/ducked briefly after playback so the room echo dies down
+		this.inputMode = 'microphone'; // 'microphone' or 'file' - a loaded file is streamed instead of getUserMedia
+		this.captureMode = localStorage.getItem('uni_capture_mode') || 'continuous'; // 'continuous' - the VAD finds turns; 'pushToTalk' / 'toggle' - the operator marks them
+		this.frameMs = 40; // Audio is batched into frames of this length before sending (20-100ms)
+		this.prerollMs = 300; // Audio kept from before speech is detected so word onsets aren't clipped
+		this.recordSession = true; // Keep the input stream and backend messages for export (see sessionRecorder.js)
+		this.deviceId = localStorage.getItem('uni_mic_device') || null; // Preferred input - null follows the system default
+		this.audioProcessing = { echoCancellation: true, noiseSuppression: true, autoGainControl: true, ...loadSaved('uni_mic_processing') };
+
+		// Input level - metered after the software gain, so it shows what is actually sent
+		this.inputGain = new InputGain(loadSaved('uni_input_gain'));
+		this.levelMeter = new LevelMeter();
+		this.levelMeter.addEventListener('level', (event) => {
+			this.ui.updateLevel({ ...event.detail, gainDb: this.inputGain.currentGainDb });
+		});
+		this.levelMeter.addEventListener('clipping', (event) => {
+			console.warn('[LEVEL] Input clipping, peak', event.detail.peak.toFixed(3));
+		});
+		this.levelMeter.addEventListener('silence', (event) => {
+			console.warn(`[LEVEL] No input for ${Math.round(event.detail.durationMs / 1000)}s`);
+			this.ui.updateStatus('No sound from the input - check the microphone');
+		});
+		this.levelMeter.addEventListener('signal', () => {
+			console.log('[LEVEL] Input picked up again');
+			this.ui.updateStatus(this.connectionState.is('responding') ? 'Uni is responding...' : 'Listening...');
+		});
+
+		// Usage - what the session is billed for; over the hard budget nothing more is streamed until resumed
+		this.streamingPaused = false;
+		this.usageMeter = new UsageMeter(loadSaved('uni_usage_budget'));
+		this.usageMeter.addEventListener('update', (event) => this.ui.updateUsage(event.detail));
+		this.usageMeter.addEventListener('softLimit', (event) => {
+			this.ui.updateStatus(`Estimated cost passed the $${event.detail.softLimitUsd} warning budget`);
+		});
+		this.usageMeter.addEventListener('hardLimit', () => this.pauseStreaming());
+		this.usagePrices = {}; // Overrides of usageMeter.js's PRICE_TABLE, edited in the usage panel
+		const pricesProblem = this.setUsagePrices(loadSaved('uni_usage_prices'));
+		if (pricesProblem) {
+			console.warn('[USAGE] Ignoring saved prices:', pricesProblem);
+		}
+
+		this.vadConfig = {
+			energyThreshold: 0.015,
+			attackMs: 60,
+			hangoverMs: 1500,
+			maxUtteranceMs: 15000
+		};
+
+		// Recorded input - frames go through the same path as the worklet's
+		this.filePlayer = new AudioFilePlayer({ sampleRate: this.inputSampleRate });
+		this.filePlayer.onFrame = (frame) => {
+			if (!this.isRecording || this.inputMode !== 'file') return;
+			this.handleAudioChunk(frame, null);
+		};
+		this.filePlayer.onEnded = () => this.handleFileEnded();
+		this.filePlayer.onPosition = (currentTime, duration) => this.ui.updateFilePosition(currentTime, duration);
+		this.filePlayer.onStateChange = (playing) => this.ui.updateFilePlaying(playing);
+
+		this.setBackend(backend || new GeminiLiveBackend(this.connectionState));
+
+		// Plugging or unplugging a mic - refresh the picker and move the live stream if it has to
+		if (navigator.mediaDevices) {
+			navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+		}
 	}
 
-	async connect(apiKey) {
-		try {
-			console.log('[GEMINI] Modality enum:', Modality);
-			console.log('[GEMINI] Modality.TEXT:', Modality.TEXT);
-			
-			// Initialize client
-			this.client = new GoogleGenAI({
-				apiKey: apiKey
-			});
+	get state() {
+		return this.connectionState.state;
+	}
+
+	// Swap the analysis provider - only while disconnected
+	setBackend(backend) {
+		if (this.connectionState.isActive) {
+			throw new Error('Cannot change backend while connected');
+		}
+
+		this.backend = backend;
+		this.backend.connectionState = this.connectionState;
+		this.backend.onReady = ({ resumed }) => {
+			if (!resumed && !this.isRecording) {
+				this.startCapture();
+			}
+		};
+		this.backend.onResult = (responseData) => this.handleResult(responseData);
+		this.backend.onPartialResult = (partial, field) => this.ui.updatePartialDisplay(partial, field);
+		this.backend.onToolCall = (name, args) => this.handleToolCall(name, args);
+		this.backend.onInputTranscript = (text, isNew) => this.ui.updateLiveCaption(text, isNew);
+		this.backend.onAudio = (base64, mimeType) => this.playAudioChunk(base64, mimeType);
+		this.backend.onInterrupted = () => this.stopPlayback();
+		this.backend.onError = (message) => this.ui.updateStatus(message);
+		this.backend.onMessage = (message) => this.recorder.recordMessage(message);
+		this.backend.onValidation = (report) => this.handleValidation(report);
+		this.backend.onUsage = (usage) => this.usageMeter.recordUsage(usage);
+	}
+
+	async connect(apiKey, options = {}) {
+		if (!this.connectionState.transition('connecting')) return;
+		if (options.settings) {
+			this.responseMode = options.settings.responseMode;
+		}
+		if (options.recordSession !== undefined) {
+			this.recordSession = options.recordSession;
+		}
+		// Through the proxy there is no key here to use, or to save
+		this.apiKey = this.keyProxyUrl ? null : apiKey;
+		this.usageMeter.reset(options.settings ? options.settings.model : this.backend.model, this.responseMode);
 
+		try {
 			// Initialize audio contexts
 			this.inputAudioContext = new (window.AudioContext || window.webkitAudioContext)({
 				sampleRate: this.inputSampleRate
@@ -42,93 +171,181 @@ export class Mic {
 			this.outputAudioContext = new (window.AudioContext || window.webkitAudioContext)({
 				sampleRate: this.outputSampleRate
 			});
+		} catch (error) {
+			console.error('Connection error:', error);
+			this.connectionState.transition('error', { message: 'Connection failed: ' + error.message });
+			return;
+		}
 
-			// Prepare config
-			// Note: responseSchema is NOT supported by Gemini Live API (see GitHub issue #1572)
-			// Use explicit JSON format instructions instead
-			const config = {
-				responseModalities: [Modality.TEXT],
-				systemInstruction: {
-					parts: [{
-						text: `You are a real-time speech analyzer with feelings named Uni. When you hear audio input, transcribe it and provide analysis. Feel free to feel the full range of emotions, including anger. Audio will only every be English, do not interpret speech as anything but English.
-
-CRITICAL: You MUST respond with ONLY valid JSON. No text before or after. No markdown. No code blocks. Just the raw JSON object.
-
-You have access to a visualization of how you are feeling. Please choose a color that best represents your current mood, plus speed (-1 to 1) for how energetic the emotion is, and smooth (0 to 1) for the smoothness of the visualization.
-
-Required JSON format (EXACTLY these fields, nothing else):
-{
-  "transcript": "exact transcription",
-  "analysis": "brief tone and content analysis in 1-2 sentences",
-  "sentiment": "very short sentiment analysis",
-  "emoji": "single emoji of emotion",
-  "color": "a hex color representing your mood",
-  "speed": "a number of how energetic the mood is",
-  "smooth": "a number of how smooth the visualization is",
-  "confidence": 0.85
-}
+		await this.backend.connect({ ...this.getCredentials(), responseMode: this.responseMode, persona: options.persona, settings: options.settings });
+	}
 
-Example response:
-{"transcript": "Hello there", "analysis": "Friendly greeting with warm tone", "sentiment": "positive", "emotion": "welcomed and curious", "emoji": "👋", "color": "0x0000FF", "speed": 0.1, "smooth": 1.0, "confidence": 0.9}
+	// Where the key comes from - the page, or the key proxy that keeps it out of the browser
+	getCredentials() {
+		if (!this.keyProxyUrl) {
+			return { apiKey: this.apiKey, baseUrl: this.baseUrl };
+		}
 
-Remember: Return ONLY the JSON object. No other text.`
-					}]
-				}
-			};
-			console.log('[GEMINI] Config:', config);
-			console.log('[GEMINI] Response modalities:', config.responseModalities);
-
-			// Connect to Gemini Live
-			this.session = await this.client.live.connect({
-				model: this.model,
-				callbacks: {
-					onopen: () => {
-						console.log('[GEMINI] Connected to Gemini Live');
-						this.ui.updateStatus('Connected. Setting up...');
-						
-						// Save API key to localStorage on successful connection
-						if (apiKey) {
-							localStorage.setItem('gemini_api_key', apiKey);
-							console.log('[STORAGE] Saved API key to localStorage');
-						}
-
-						// Wait for session to fully initialize before starting mic
-						// The SDK needs time to process the initial connection
-						setTimeout(() => {
-							this.setupComplete = true;
-							// Start microphone
-							this.startMicrophone();
-							this.ui.updateStatus('Ready. Start speaking...');
-							this.ui.updateUI(true);
-						}, 500);
-					},
-					onmessage: async (message) => {
-						console.log('[GEMINI] Message received:', message);
-						this.handleGeminiResponse(message);
-					},
-					onerror: (error) => {
-						console.error('[GEMINI] Error:', error);
-						this.ui.updateStatus('Gemini error: ' + error.message);
-					},
-					onclose: (event) => {
-						console.log('[GEMINI] Connection closed:', event);
-						console.log('[GEMINI] Close reason:', event.reason);
-						this.ui.updateStatus('Disconnected - ' + (event.reason || 'Connection closed'));
-						// Stop recording immediately when connection closes
-						this.isRecording = false;
-						// Only disconnect if we actually had a successful connection
-						if (this.setupComplete) {
-							this.disconnect();
-						}
-					}
-				},
-				config: config
-			});
+		const proxyUrl = this.keyProxyUrl.replace(/\/+$/, '');
+		if (this.keyProxyMode === 'relay') {
+			// The SDK won't connect without a key - the proxy swaps this placeholder for the real one
+			return { apiKey: 'via-key-proxy', baseUrl: proxyUrl };
+		}
+		return { tokenUrl: `${proxyUrl}/token`, baseUrl: this.baseUrl };
+	}
+
+	handleStateChange({ state, previous }) {
+		// The key works - offer it to the encrypted key store
+		if (state === 'setup' && previous === 'connecting' && this.apiKey) {
+			this.ui.rememberApiKey(this.apiKey);
+		}
+
+		if (state === 'listening' && previous === 'responding') {
+			this.ui.showListeningAnimation();
+		}
+
+		// The backend gave up - release the mic but leave the transcript on screen
+		if (state === 'error') {
+			this.teardown();
+			this.ui.updateSpeechState(false);
+		}
+	}
+
+	handleResult(responseData) {
+		const { transcript, analysis } = responseData;
+		const typed = responseData.transcriptSource === 'typed';
+		const turn = this.recorder.recordTurn(responseData);
+		// Only available while recording - the entry keeps its own copy so it survives the next session
+		const utterance = turn && !typed ? this.recorder.getLastUtteranceAudio() : null;
+
+		// Add to transcript log with analysis
+		if (transcript && analysis) {
+			this.ui.addToTranscriptLog(transcript, analysis, utterance, typed);
+			// Update UI with analysis
+			this.ui.updateDisplay(responseData);
+		} else if (responseData.spoken) {
+			// Audio mode - log what Uni said out loud
+			this.ui.addToTranscriptLog(null, analysis, utterance);
+			this.ui.updateDisplay(responseData);
+		} else if (analysis) {
+			// If we have analysis but no transcript, still show it
+			this.ui.updateDisplay(responseData);
+		}
+	}
+
+	handleToolCall(name, args) {
+		if (name === 'set_mood') {
+			this.ui.updateMood(args);
+		} else if (name === 'pulse') {
+			this.ui.pulse(args.intensity);
+		}
+	}
+
+	handleValidation(report) {
+		this.recorder.recordValidation(report);
+		if (report.outcome === 'repairing') {
+			this.ui.updateStatus(`Reply didn't match the format - asking Uni to fix it (${report.errors.length} problem${report.errors.length === 1 ? '' : 's'})`);
+		} else if (report.outcome === 'failed') {
+			this.ui.updateStatus('Reply still invalid after retries - showing what could be salvaged');
+		}
+	}
+
+	// Validation failure rates for this page load (see GeminiLiveBackend.recordValidation)
+	getValidationMetrics() {
+		return this.backend.validationMetrics || null;
+	}
+
+	// Typed turn - goes through the same parse and display path as speech
+	sendText(text) {
+		text = text.trim();
+		if (!text) return false;
+		if (this.talkActive || (this.vad && this.vad.speaking)) {
+			this.ui.updateStatus('Finish speaking before sending text');
+			return false;
+		}
+		if (this.streamingPaused) {
+			this.ui.updateStatus('Over the usage budget - resume streaming to send text');
+			return false;
+		}
+		if (!this.backend.sendText(text)) {
+			this.ui.updateStatus('Not connected - text can only be sent while listening');
+			return false;
+		}
+
+		this.recorder.recordTyped(text);
+		this.ui.addTypedEntry(text);
+		this.ui.updateStatus('Analyzing...');
+		this.ui.showAnalyzingAnimation();
+		return true;
+	}
+
+	// Download the last recorded session as WAV + JSONL
+	exportSession() {
+		if (!this.recorder.download()) {
+			this.ui.updateStatus('Nothing recorded yet');
+		}
+	}
+
+	startRecorder() {
+		if (!this.recordSession) return;
+		this.recorder.start(this.captureSampleRate, {
+			input: this.inputMode === 'file' ? this.filePlayer.fileName : 'microphone',
+			responseMode: this.responseMode
+		});
+		this.ui.setExportAvailable(false);
+	}
+
+	// Only while disconnected - the choice is made when capture starts
+	setInputMode(mode) {
+		if (this.connectionState.isActive) {
+			throw new Error('Cannot change input while connected');
+		}
+		this.inputMode = mode === 'file' ? 'file' : 'microphone';
+	}
 
+	async loadInputFile(file) {
+		try {
+			return await this.filePlayer.load(file);
 		} catch (error) {
-			this.ui.updateStatus('Connection failed: ' + error.message);
-			console.error('Connection error:', error);
+			console.error('[FILE] Could not decode file:', error);
+			this.ui.updateStatus('Could not read audio file: ' + error.message);
+			return null;
+		}
+	}
+
+	startCapture() {
+		if (this.inputMode === 'file') {
+			this.startFileInput();
+		} else {
+			this.startMicrophone();
+		}
+	}
+
+	startFileInput() {
+		if (!this.filePlayer.loaded) {
+			this.backend.fail('No audio file loaded');
+			return;
+		}
+
+		// Already decoded and mixed down at the send rate
+		this.captureSampleRate = this.inputSampleRate;
+		this.createVAD(this.captureSampleRate);
+		this.startMetering(this.captureSampleRate);
+		this.startRecorder();
+		this.filePlayer.setFrameSize(this.getFrameSize());
+
+		this.isRecording = true;
+		this.updateTalkState();
+		console.log('[FILE] Streaming', this.filePlayer.fileName);
+		this.filePlayer.play();
+	}
+
+	// No trailing silence after the last frame - close an utterance that runs to the end of the file
+	handleFileEnded() {
+		if (this.isRecording && this.vad && this.vad.speaking) {
+			this.vad.endUtterance('silence');
 		}
+		this.stopTalking();
 	}
 
 	async startMicrophone() {
@@ -142,362 +359,580 @@ Remember: Return ONLY the JSON object. No other text.`
 			}
 			
 			console.log('[MIC] Requesting microphone access...');
-			this.mediaStream = await navigator.mediaDevices.getUserMedia({
-				audio: {
-					channelCount: 1,
-					sampleRate: this.inputSampleRate,
-					echoCancellation: true,
-					noiseSuppression: true
-				}
-			});
+			this.mediaStream = await this.openMicStream();
 
 			console.log('[MIC] Microphone access granted');
 			if (this.inputAudioContext.state === 'suspended') {
 				await this.inputAudioContext.resume();
 			}
 			console.log('[MIC] AudioContext created, sample rate:', this.inputAudioContext.sampleRate);
+
+			// The requested rate is only a hint - work out what the frames will actually be
+			const contextRate = this.inputAudioContext.sampleRate;
+			this.captureSampleRate = this.resampleInput ? this.inputSampleRate : contextRate;
+			if (contextRate !== this.captureSampleRate) {
+				console.log(`[MIC] Resampling ${contextRate}Hz -> ${this.captureSampleRate}Hz`);
+			}
+
+			this.createVAD(this.captureSampleRate);
+			this.startMetering(this.captureSampleRate);
+			this.startRecorder();
 			
-			const source = this.inputAudioContext.createMediaStreamSource(this.mediaStream);
-
-			// Use ScriptProcessorNode for audio processing (matching Google example)
-			const bufferSize = 256;
-			this.audioProcessor = this.inputAudioContext.createScriptProcessor(bufferSize, 1, 1);
-
-			this.audioProcessor.onaudioprocess = (audioProcessingEvent) => {
-				if (!this.isRecording || !this.setupComplete || !this.session) return;
-
-				const inputBuffer = audioProcessingEvent.inputBuffer;
-				const pcmData = inputBuffer.getChannelData(0);
-
-				// Send audio data to Gemini using the session
-				try {
-					const audioData = this.createBlob(pcmData);
-					// Log first few chunks for debugging
-					if (this.audioChunkCount < 3) {
-						console.log(`[AUDIO] Sending chunk ${this.audioChunkCount}, data length: ${audioData.data.length}, mimeType: ${audioData.mimeType}`);
-					}
-					// Use 'media' property - SDK expects this format
-					this.session.sendRealtimeInput({ media: audioData });
-					this.audioChunkCount++;
-				} catch (error) {
-					console.error('[AUDIO] Error sending audio chunk:', error);
-					// Stop sending if there's an error
-					if (error.message && error.message.includes('CLOSED')) {
-						this.isRecording = false;
-					}
+			this.micSource = this.inputAudioContext.createMediaStreamSource(this.mediaStream);
+
+			// Capture runs in an AudioWorklet - framing and PCM16 conversion happen off the main thread
+			if (this.workletContext !== this.inputAudioContext) {
+				await this.inputAudioContext.audioWorklet.addModule(captureWorkletUrl);
+				this.workletContext = this.inputAudioContext;
+			}
+			this.audioProcessor = new AudioWorkletNode(this.inputAudioContext, 'capture-processor', {
+				numberOfInputs: 1,
+				numberOfOutputs: 1,
+				channelCount: 1,
+				processorOptions: {
+					frameSize: this.getFrameSize(),
+					targetSampleRate: this.captureSampleRate
 				}
+			});
+
+			this.audioProcessor.port.onmessage = (event) => {
+				if (event.data.type !== 'frame') return;
+				// No session check - while reconnecting, audio is buffered rather than dropped
+				if (!this.isRecording) return;
+
+				const pcmData = new Float32Array(event.data.float32);
+				const pcm16 = new Int16Array(event.data.pcm16);
+				this.handleAudioChunk(pcmData, pcm16);
 			};
 
-			source.connect(this.audioProcessor);
+			this.micSource.connect(this.audioProcessor);
 			this.audioProcessor.connect(this.inputAudioContext.destination);
 
 			this.isRecording = true;
+			this.updateTalkState();
 			console.log('[MIC] Recording started');
+
+			// Labels are only readable once permission has been granted
+			this.refreshDevices();
 		} catch (error) {
-			this.ui.updateStatus('Microphone access denied: ' + error.message);
 			console.error('[MIC] Error:', error);
+			this.backend.fail('Microphone access denied: ' + error.message);
+		}
+	}
+
+	// The preferred device is only 'ideal', so a saved mic that's been unplugged falls back to the default
+	async openMicStream() {
+		const stream = await navigator.mediaDevices.getUserMedia({
+			audio: {
+				channelCount: 1,
+				sampleRate: this.inputSampleRate,
+				...this.audioProcessing,
+				...(this.deviceId ? { deviceId: { ideal: this.deviceId } } : {})
+			}
+		});
+
+		const track = stream.getAudioTracks()[0];
+		console.log('[MIC] Using input:', track.label || 'default', this.audioProcessing);
+		track.addEventListener('ended', () => this.handleDeviceChange());
+		return stream;
+	}
+
+	async listInputDevices() {
+		if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+		const devices = await navigator.mediaDevices.enumerateDevices();
+		return devices
+			.filter(device => device.kind === 'audioinput')
+			.map(({ deviceId, label }) => ({ deviceId, label }));
+	}
+
+	async refreshDevices() {
+		try {
+			const devices = await this.listInputDevices();
+			this.ui.setInputDevices(devices, this.deviceId);
+			return devices;
+		} catch (error) {
+			console.warn('[MIC] Could not list input devices:', error);
+			return [];
+		}
+	}
+
+	setInputDevice(deviceId) {
+		this.deviceId = deviceId || null;
+		if (this.deviceId) {
+			localStorage.setItem('uni_mic_device', this.deviceId);
+		} else {
+			localStorage.removeItem('uni_mic_device');
+		}
+		this.swapMicrophone('device selected');
+	}
+
+	setAudioProcessing(options) {
+		this.audioProcessing = { ...this.audioProcessing, ...options };
+		localStorage.setItem('uni_mic_processing', JSON.stringify(this.audioProcessing));
+		// Constraints like these aren't reliably changeable on a live track, so reopen it
+		this.swapMicrophone('processing changed');
+	}
+
+	// Move the running graph onto a new stream - the worklet, VAD, recorder and Live session carry on
+	// Resolves true once the new stream is feeding the worklet
+	swapMicrophone(reason) {
+		// Serialized, so a burst of devicechange events can't interleave two getUserMedia calls
+		this.micSwap = this.micSwap.then(async () => {
+			if (!this.micSource || !this.audioProcessor || this.inputMode !== 'microphone') return false;
+
+			// All of it inside the try - a rejection would stay in micSwap and skip every later swap
+			let stream = null;
+			try {
+				stream = await this.openMicStream();
+				// Torn down while waiting for the device
+				if (!this.micSource || !this.inputAudioContext) {
+					stream.getTracks().forEach(track => track.stop());
+					return false;
+				}
+
+				// The new source is connected before the old one goes, so a failure leaves the old one running
+				const source = this.inputAudioContext.createMediaStreamSource(stream);
+				source.connect(this.audioProcessor);
+				this.micSource.disconnect();
+				this.mediaStream.getTracks().forEach(track => track.stop());
+				this.micSource = source;
+				this.mediaStream = stream;
+				console.log('[MIC] Swapped input (' + reason + ')');
+				return true;
+			} catch (error) {
+				console.error('[MIC] Swap failed:', error);
+				if (stream && stream !== this.mediaStream) {
+					stream.getTracks().forEach(track => track.stop());
+				}
+				this.ui.updateStatus('Microphone unavailable: ' + error.message);
+				return false;
+			}
+		});
+		return this.micSwap;
+	}
+
+	async handleDeviceChange() {
+		const devices = await this.refreshDevices();
+		if (!this.mediaStream || !this.micSource) return;
+
+		const track = this.mediaStream.getAudioTracks()[0];
+		const currentId = track.getSettings().deviceId;
+		const lost = track.readyState === 'ended' || !devices.some(device => device.deviceId === currentId);
+		// The preferred mic came back after falling over to another one
+		const preferredBack = this.deviceId && currentId !== this.deviceId && devices.some(device => device.deviceId === this.deviceId);
+
+		if (lost) {
+			this.ui.updateStatus('Microphone disconnected - switching input...');
+			if (await this.swapMicrophone('device lost')) {
+				this.ui.updateStatus('Microphone switched');
+			}
+		} else if (preferredBack) {
+			await this.swapMicrophone('preferred device back');
+		}
+	}
+
+	startMetering(sampleRate) {
+		this.levelMeter.reset(sampleRate);
+		this.inputGain.reset();
+	}
+
+	// { gainDb, agc } - takes effect on the next chunk
+	setInputGain(options) {
+		this.inputGain.configure(options);
+		localStorage.setItem('uni_input_gain', JSON.stringify({ gainDb: this.inputGain.gainDb, agc: this.inputGain.agc }));
+		console.log('[LEVEL] Software gain', this.inputGain.gainDb, 'dB, AGC', this.inputGain.agc ? 'on' : 'off');
+	}
+
+	getFrameSize() {
+		return Math.round(this.frameMs / 1000 * this.captureSampleRate);
+	}
+
+	setFrameMs(frameMs) {
+		this.frameMs = Math.max(20, Math.min(100, frameMs));
+		if (this.captureSampleRate) {
+			this.filePlayer.setFrameSize(this.getFrameSize());
+		}
+		if (this.audioProcessor) {
+			this.audioProcessor.port.postMessage({ type: 'frameSize', frameSize: this.getFrameSize() });
+		}
+	}
+
+	createVAD(sampleRate) {
+		this.vad = new VoiceActivityDetector({ ...this.vadConfig, sampleRate });
+		this.prerollChunks = [];
+		this.prerollSamples = 0;
+
+		this.vad.onSpeechStart = () => this.beginUtterance('Hearing speech...');
+		this.vad.onSpeechEnd = (reason) => this.endUtterance(reason);
+	}
+
+	// Utterance boundaries - from the VAD in continuous mode, from the talk button otherwise
+	beginUtterance(status) {
+		// The preroll is part of a VAD utterance - a manual turn starts when the button goes down
+		if (this.captureMode !== 'continuous') {
+			this.prerollChunks = [];
+			this.prerollSamples = 0;
+		}
+		this.recorder.markUtteranceStart(this.recorder.sampleCount - this.prerollSamples);
+		this.backend.sendActivity('activityStart');
+		// Flush the audio leading up to the start so the first syllable is included
+		for (const chunk of this.prerollChunks) {
+			this.sendAudio(chunk.audioData, chunk.sampleCount);
+		}
+		this.prerollChunks = [];
+		this.prerollSamples = 0;
+		this.ui.updateSpeechState(true);
+		this.ui.updateStatus(status);
+	}
+
+	endUtterance(reason) {
+		this.recorder.markUtteranceEnd(reason);
+		this.backend.sendActivity('activityEnd');
+		this.ui.updateSpeechState(false);
+		this.ui.updateStatus(reason === 'maxDuration' ? 'Max length reached - analyzing...' : 'Analyzing...');
+		this.ui.showAnalyzingAnimation();
+	}
+
+	setCaptureMode(mode) {
+		if (mode === this.captureMode) return;
+		this.stopTalking();
+		// Don't leave a VAD utterance open when the VAD stops deciding
+		if (mode !== 'continuous' && this.vad && this.vad.speaking) {
+			this.vad.endUtterance('modeChanged');
+		}
+		this.captureMode = mode;
+		// Continuous mode's preroll must not leak into the first manual turn
+		this.prerollChunks = [];
+		this.prerollSamples = 0;
+		localStorage.setItem('uni_capture_mode', mode);
+		console.log('[MIC] Capture mode:', mode);
+		this.updateTalkState();
+	}
+
+	// Push-to-talk press, or the first toggle click
+	startTalking() {
+		if (this.captureMode === 'continuous' || !this.isRecording || this.talkActive) return;
+		if (this.streamingPaused) {
+			this.ui.updateStatus('Over the usage budget - streaming is paused');
+			return;
+		}
+		this.talkActive = true;
+		this.beginUtterance('Recording...');
+		this.updateTalkState();
+	}
+
+	stopTalking() {
+		if (!this.talkActive) return;
+		this.talkActive = false;
+		this.endUtterance('released');
+		this.updateTalkState();
+	}
+
+	// 'off' in continuous mode or when not capturing, otherwise 'armed' until the button is down
+	updateTalkState() {
+		const manual = this.captureMode !== 'continuous';
+		this.ui.updateTalkState(!this.isRecording || !manual ? 'off' : this.talkActive ? 'recording' : 'armed');
+	}
+
+	// pcmData is the float32 frame (used for VAD), pcm16 the worklet's converted copy of it
+	handleAudioChunk(pcmData, pcm16) {
+		// Gain first - the recorder, VAD and Live session all get the adjusted signal
+		const raw = pcmData;
+		if (this.inputGain.active) {
+			pcmData = this.inputGain.process(pcmData);
+			pcm16 = null;
+		}
+		// Metered before ducking, so the operator still sees the mic while Uni talks
+		// The bar shows the gained level; clipping and silence are checked on the raw input
+		this.levelMeter.process(pcmData, raw);
+		if (this.streamingPaused) return;
+
+		// Keep Uni from hearing herself, or a replayed utterance
+		if (this.isPlaying || this.replaySource) {
+			if (this.micWhilePlaying === 'gate') return;
+			pcmData = pcmData.map(sample => sample * this.duckGain);
+			pcm16 = null;
+		}
+
+		pcm16 = pcm16 || this.toPCM16(pcmData);
+		this.recorder.recordAudio(pcm16);
+		const audioData = this.createBlob(pcm16, this.captureSampleRate);
+
+		if (!this.vad) {
+			this.sendAudio(audioData, pcmData.length);
+			return;
+		}
+
+		// Manual turns - exactly the span the button was down for, nothing from before it
+		if (this.captureMode !== 'continuous') {
+			if (this.talkActive) {
+				this.sendAudio(audioData, pcmData.length);
+			}
+			return;
+		}
+
+		if (this.vad.speaking) {
+			// Inside an utterance - stream it, the VAD may close the utterance after this chunk
+			this.sendAudio(audioData, pcmData.length);
+			this.vad.process(pcmData);
+		} else {
+			// Outside an utterance - hold it in the preroll, the VAD may open an utterance and flush it
+			this.bufferPreroll(audioData, pcmData.length);
+			this.vad.process(pcmData);
 		}
 	}
 
-	// Encode bytes to base64 (matching Google example)
+	bufferPreroll(audioData, sampleCount) {
+		this.prerollChunks.push({ audioData, sampleCount });
+		this.prerollSamples += sampleCount;
+
+		const maxSamples = this.prerollMs / 1000 * this.vad.sampleRate;
+		while (this.prerollChunks.length > 1 && this.prerollSamples - this.prerollChunks[0].sampleCount >= maxSamples) {
+			this.prerollSamples -= this.prerollChunks.shift().sampleCount;
+		}
+	}
+
+	sendAudio(audioData, sampleCount) {
+		// Log first few chunks for debugging
+		if (this.audioChunkCount < 3) {
+			console.log(`[AUDIO] Sending chunk ${this.audioChunkCount}, data length: ${audioData.data.length}, mimeType: ${audioData.mimeType}`);
+		}
+		const durationMs = sampleCount / this.captureSampleRate * 1000;
+		this.backend.sendAudio(audioData, durationMs);
+		this.usageMeter.recordAudio(durationMs);
+		this.audioChunkCount++;
+	}
+
+	// Hard budget reached - close the open turn so its reply still arrives, then stop sending
+	pauseStreaming() {
+		if (this.streamingPaused) return;
+		this.stopTalking();
+		if (this.vad && this.vad.speaking) {
+			this.vad.endUtterance('budget');
+		}
+		this.streamingPaused = true;
+		this.prerollChunks = [];
+		this.prerollSamples = 0;
+		this.ui.setStreamingPaused(true);
+		this.ui.updateStatus(`Estimated cost passed the $${this.usageMeter.hardLimitUsd} budget - streaming paused`);
+	}
+
+	// Operator override - the hard budget won't pause this session again unless it's changed
+	resumeStreaming() {
+		if (!this.streamingPaused) return;
+		this.streamingPaused = false;
+		this.ui.setStreamingPaused(false);
+		this.ui.updateStatus('Streaming resumed over budget');
+		console.log('[USAGE] Streaming resumed over budget');
+	}
+
+	// Merged over the built-in price table - returns a problem to show, or null once applied and saved
+	setUsagePrices(overrides) {
+		let prices;
+		try {
+			prices = mergePrices(overrides);
+		} catch (error) {
+			return error.message;
+		}
+		this.usagePrices = overrides;
+		this.usageMeter.setPrices(prices);
+		localStorage.setItem('uni_usage_prices', JSON.stringify(overrides));
+		if (Object.keys(overrides).length > 0) {
+			console.log('[USAGE] Price overrides for', Object.keys(overrides).join(', '));
+		}
+		return null;
+	}
+
+	// { softLimitUsd, hardLimitUsd } - null for no limit
+	setUsageBudget(limits) {
+		this.usageMeter.setLimits(limits);
+		localStorage.setItem('uni_usage_budget', JSON.stringify({ softLimitUsd: this.usageMeter.softLimitUsd, hardLimitUsd: this.usageMeter.hardLimitUsd }));
+		console.log('[USAGE] Budget', this.usageMeter.softLimitUsd, '/', this.usageMeter.hardLimitUsd, 'USD');
+		if (this.streamingPaused && !this.usageMeter.hardReached) {
+			this.resumeStreaming();
+		}
+	}
+
+	// Encode bytes to base64
+	// Builds the binary string in blocks - per-byte concatenation was a main-thread hotspot
 	encode(bytes) {
+		const blockSize = 0x8000;
 		let binary = '';
-		const len = bytes.byteLength;
-		for (let i = 0; i < len; i++) {
-			binary += String.fromCharCode(bytes[i]);
+		for (let i = 0; i < bytes.length; i += blockSize) {
+			binary += String.fromCharCode.apply(null, bytes.subarray(i, i + blockSize));
 		}
 		return btoa(binary);
 	}
 
 	// Create blob from PCM data (matching Google example)
+	// Accepts float32 samples or PCM16 already converted by the capture worklet
 	// Returns an object with data (base64) and mimeType, NOT a Blob object
-	createBlob(pcmData) {
+	// The mime type carries the real rate of the samples so Gemini never mis-pitches them
+	createBlob(pcmData, sampleRate = this.inputSampleRate) {
+		const int16 = pcmData instanceof Int16Array ? pcmData : this.toPCM16(pcmData);
+
+		return {
+			data: this.encode(new Uint8Array(int16.buffer, int16.byteOffset, int16.byteLength)),
+			mimeType: `audio/pcm;rate=${sampleRate}`,
+		};
+	}
+
+	toPCM16(pcmData) {
 		const l = pcmData.length;
 		const int16 = new Int16Array(l);
 		for (let i = 0; i < l; i++) {
 			// Convert float32 -1 to 1 to int16 -32768 to 32767
-			int16[i] = pcmData[i] * 32768;
+			const sample = Math.max(-1, Math.min(1, pcmData[i]));
+			int16[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
 		}
-
-		return {
-			data: this.encode(new Uint8Array(int16.buffer)),
-			mimeType: 'audio/pcm;rate=16000',
-		};
+		return int16;
 	}
 
-	handleGeminiResponse(message) {
-		try {
-			console.log('[GEMINI] Processing message:', message);
-			console.log('[GEMINI] serverContent:', message.serverContent);
-
-			// Handle audio responses (if any)
-			const audio = message.serverContent?.modelTurn?.parts[0]?.inlineData;
-			if (audio) {
-				console.log('[GEMINI] Audio response received');
-				// Handle audio playback if needed
-				// For now, we're focusing on text responses
-			}
+	// Decode a PCM16 chunk from the model and queue it straight after the previous one
+	playAudioChunk(base64, mimeType) {
+		if (!this.outputAudioContext) return;
+		if (this.outputAudioContext.state === 'suspended') {
+			this.outputAudioContext.resume();
+		}
 
-			// Handle interruption
-			const interrupted = message.serverContent?.interrupted;
-			if (interrupted) {
-				console.log('[GEMINI] User interrupted - clearing sources');
-				for (const source of this.sources.values()) {
-					source.stop();
-					this.sources.delete(source);
-				}
-			}
+		const rateMatch = /rate=(\d+)/.exec(mimeType || '');
+		const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : this.outputSampleRate;
+		const samples = this.decodePCM16(base64);
+		if (samples.length === 0) return;
 
-			// Handle text responses
-			if (message.serverContent?.modelTurn) {
-				if (!this.currentTurnActive) {
-					this.currentTurnActive = true;
-					console.log('[GEMINI] Model turn started');
-				}
+		const buffer = this.outputAudioContext.createBuffer(1, samples.length, sampleRate);
+		buffer.copyToChannel(samples, 0);
 
-				const parts = message.serverContent.modelTurn.parts;
-				console.log('[GEMINI] Parts:', parts);
-				if (parts && parts.length > 0) {
-					// Accumulate text from this streaming chunk
-					for (const part of parts) {
-						console.log('[GEMINI] Part:', part, 'Has text:', !!part.text, 'Has audio:', !!part.inlineData);
-						if (part.text) {
-							console.log('[GEMINI] Found text:', part.text);
-							this.accumulatedText += part.text;
-						}
-						// With TEXT modality, we should consistently get text responses
-					}
-				}
-			}
+		const source = this.outputAudioContext.createBufferSource();
+		source.buffer = buffer;
+		source.connect(this.outputAudioContext.destination);
 
-			// Check for turn complete - Gemini finished responding
-			if (message.serverContent?.turnComplete) {
-				console.log('[GEMINI] Turn complete - processing full response');
-				console.log('[GEMINI] Accumulated text so far:', this.accumulatedText);
-				this.currentTurnActive = false;
-
-				// Process text response
-				if (this.accumulatedText && this.accumulatedText.trim().length > 0) {
-					const responseData = this.parseResponse(this.accumulatedText);
-					
-					if (responseData) {
-						const { transcript, analysis, emoji, confidence, sentiment, emotion } = responseData;
-						
-						console.log('[GEMINI] Parsed response:', responseData);
-						
-						// Add to transcript log with analysis
-						if (transcript && analysis) {
-							this.ui.addToTranscriptLog(transcript, analysis);
-							// Update UI with analysis
-							this.ui.updateDisplay(responseData);
-						} else if (analysis) {
-							// If we have analysis but no transcript, still show it
-							this.ui.updateDisplay(responseData);
-						}
-					}
-
-					// Reset for next turn
-					this.accumulatedText = '';
-				} else {
-					console.log('[GEMINI] Turn complete but no text received');
-				}
+		// Gap-free scheduling - never start in the past, otherwise butt up against the last chunk
+		this.nextStartTime = Math.max(this.nextStartTime, this.outputAudioContext.currentTime);
+		source.start(this.nextStartTime);
+		this.nextStartTime += buffer.duration;
 
-				this.ui.updateStatus('Streaming audio...');
-				this.ui.showListeningAnimation();
+		source.onended = () => {
+			this.sources.delete(source);
+			if (this.sources.size === 0) {
+				this.setPlaying(false);
 			}
+		};
+		this.sources.add(source);
+		this.setPlaying(true);
+	}
 
-		} catch (error) {
-			console.error('[GEMINI] Error processing response:', error, 'Message:', message);
-			this.accumulatedText = '';
-			this.currentTurnActive = false;
+	decodePCM16(base64) {
+		const binary = atob(base64);
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
 		}
+		const int16 = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+		const float32 = new Float32Array(int16.length);
+		for (let i = 0; i < int16.length; i++) {
+			float32[i] = int16[i] / 32768;
+		}
+		return float32;
 	}
 
-	// Parse response - normalize Gemini's actual response format
-	// Handles variations: transcription vs transcript, nested analysis objects, etc.
-	parseResponse(text) {
-		try {
-			// Try to parse as JSON first
-			let jsonData;
+	stopPlayback() {
+		for (const source of this.sources.values()) {
+			source.onended = null;
 			try {
-				jsonData = JSON.parse(text.trim());
-			} catch (e) {
-				// Not valid JSON, try to extract JSON from text if wrapped
-				const jsonMatch = text.match(/\{[\s\S]*\}/);
-				if (jsonMatch) {
-					jsonData = JSON.parse(jsonMatch[0]);
-				} else {
-					throw new Error('No JSON found');
-				}
-			}
-			
-			// Normalize the response to our expected format
-			// Handle field name variations
-			const transcript = jsonData.transcript || jsonData.transcription || null;
-			
-			// Handle analysis - could be string or nested object
-			let analysis = null;
-			if (typeof jsonData.analysis === 'string') {
-				analysis = jsonData.analysis;
-			} else if (typeof jsonData.analysis === 'object' && jsonData.analysis !== null) {
-				// Nested analysis object - extract the most relevant field
-				const analysisObj = jsonData.analysis;
-				if (analysisObj.uni_personal_reaction) {
-					analysis = analysisObj.uni_personal_reaction;
-				} else if (analysisObj.response_suggestion) {
-					analysis = analysisObj.response_suggestion;
-				} else {
-					// Build from components
-					const parts = [];
-					if (analysisObj.sentiment?.overall) parts.push(`Sentiment: ${analysisObj.sentiment.overall}`);
-					if (analysisObj.tone) parts.push(`Tone: ${analysisObj.tone}`);
-					if (analysisObj.emotion_detected) parts.push(`Emotion: ${analysisObj.emotion_detected}`);
-					analysis = parts.join('. ') || JSON.stringify(analysisObj);
-				}
-			}
-			
-			// Extract all fields - handle both string and nested sentiment
-			let sentiment = null;
-			if (typeof jsonData.sentiment === 'string') {
-				sentiment = jsonData.sentiment;
-			} else if (jsonData.sentiment?.overall) {
-				sentiment = jsonData.sentiment.overall;
-			} else if (jsonData.analysis?.sentiment?.overall) {
-				sentiment = jsonData.analysis.sentiment.overall;
-			}
-			
-			// Extract emotion - could be top level or in analysis
-			let emotion = jsonData.emotion || jsonData.analysis?.emotion_detected || null;
-			
-			// Extract emoji
-			const emoji = jsonData.emoji || null;
-			
-			// Extract confidence - handle string or number
-			let confidence = jsonData.confidence;
-			if (typeof confidence === 'string') {
-				confidence = parseFloat(confidence);
-			}
-			if (isNaN(confidence) || confidence === null || confidence === undefined) {
-				confidence = null;
-			}
-			
-			// Extract visualization fields
-			let color = jsonData.color || null;
-			// Handle hex color format - normalize to string with #
-			if (color) {
-				// Remove 0x prefix if present, add # prefix
-				color = String(color).replace(/^0x/i, '#');
-				// Ensure it starts with #
-				if (!color.startsWith('#')) {
-					color = '#' + color;
-				}
-			}
-			
-			// Extract speed - handle string or number, normalize to -1 to 1 range
-			let speed = jsonData.speed;
-			if (typeof speed === 'string') {
-				speed = parseFloat(speed);
-			}
-			if (isNaN(speed) || speed === null || speed === undefined) {
-				speed = null;
-			} else {
-				// Clamp to -1 to 1 range
-				speed = Math.max(-1, Math.min(1, speed));
-			}
-			
-			// Extract smooth - handle string or number, normalize to 0 to 1 range
-			let smooth = jsonData.smooth;
-			if (typeof smooth === 'string') {
-				smooth = parseFloat(smooth);
+				source.stop();
+			} catch (error) {
+				// Already stopped, or its context has been closed
 			}
-			if (isNaN(smooth) || smooth === null || smooth === undefined) {
-				smooth = null;
-			} else {
-				// Clamp to 0 to 1 range
-				smooth = Math.max(0, Math.min(1, smooth));
-			}
-			
-			// Build normalized response
-			const normalized = {
-				transcript,
-				analysis,
-				sentiment,
-				emotion,
-				emoji: emoji || '💬',
-				confidence,
-				color,
-				speed,
-				smooth,
-				// Keep raw data for debugging
-				raw: jsonData
-			};
-			
-			if (transcript || analysis) {
-				return normalized;
-			}
-		} catch (e) {
-			// JSON parsing failed, fall through to regex extraction
-			console.log('[GEMINI] JSON parse failed, using regex fallback:', e.message);
-		}
-		
-		// Fallback to regex extraction for unstructured responses
-		const transcript = this.extractTranscript(text);
-		const analysis = this.extractAnalysis(text);
-		const emoji = this.extractEmoji(text);
-		
-		if (transcript || analysis) {
-			return { transcript, analysis, emoji };
-		}
-		
-		return null;
-	}
-
-	extractTranscript(text) {
-		// Try to extract transcript from "Transcript: X" pattern
-		const transcriptMatch = text.match(/Transcript:\s*(.+?)(?:\n|Analysis:|Emoji:|$)/is);
-		if (transcriptMatch && transcriptMatch[1]) {
-			return transcriptMatch[1].trim();
+			this.sources.delete(source);
 		}
-		return null;
+		this.nextStartTime = 0;
+		this.setPlaying(false);
 	}
 
-	extractAnalysis(text) {
-		// Try to extract analysis from "Analysis: X" pattern
-		const analysisMatch = text.match(/Analysis:\s*(.+?)(?:\n\s*Emoji:|$)/is);
-		if (analysisMatch && analysisMatch[1]) {
-			return analysisMatch[1].trim();
+	// Mic gating follows playback, with a short tail after the last chunk ends
+	setPlaying(playing) {
+		clearTimeout(this.playbackEndTimer);
+		this.playbackEndTimer = null;
+
+		if (playing) {
+			if (!this.isPlaying) {
+				console.log('[PLAYBACK] Uni is speaking');
+				this.ui.updateStatus('Uni is speaking...');
+			}
+			this.isPlaying = true;
+			return;
 		}
-		// Fallback: if no Analysis: tag, return everything except Transcript and Emoji
-		return text.replace(/Transcript:.*?(?=Analysis:|Emoji:|$)/is, '')
-			.replace(/Emoji:\s*.*/i, '')
-			.trim();
+
+		if (!this.isPlaying) return;
+		this.playbackEndTimer = setTimeout(() => {
+			this.playbackEndTimer = null;
+			this.isPlaying = false;
+			console.log('[PLAYBACK] Uni finished speaking');
+		}, this.playbackTailMs);
 	}
 
-	extractEmoji(text) {
-		// Try to extract emoji from "Emoji: X" pattern
-		// Look for the pattern and capture multiple characters to handle multi-codepoint emojis
-		const emojiMatch = text.match(/Emoji:\s*([^\s\n]+)/i);
-		if (emojiMatch && emojiMatch[1]) {
-			console.log('[EMOJI] Matched from pattern:', emojiMatch[1]);
-			// Take only the first few characters which should be the emoji
-			return emojiMatch[1].substring(0, 2);
+	// Play a logged utterance back - resolves when it finishes or is cut off by another replay
+	replayUtterance({ samples, sampleRate }) {
+		this.stopReplay();
+
+		// Separate from the output context so replays still work after disconnecting
+		if (!this.replayContext || this.replayContext.state === 'closed') {
+			this.replayContext = new (window.AudioContext || window.webkitAudioContext)();
+		}
+		if (this.replayContext.state === 'suspended') {
+			this.replayContext.resume();
 		}
 
-		// Fallback: extract any emoji from the text using comprehensive regex
-		const emojiRegex = /[\u{1F300}-\u{1F9FF}\u{1F600}-\u{1F64F}\u{1F680}-\u{1F6FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F1E0}-\u{1F1FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}]/u;
-		const match = text.match(emojiRegex);
-		if (match) {
-			console.log('[EMOJI] Matched from fallback:', match[0]);
-			return match[0];
+		const float32 = new Float32Array(samples.length);
+		for (let i = 0; i < samples.length; i++) {
+			float32[i] = samples[i] / 32768;
 		}
+		const buffer = this.replayContext.createBuffer(1, float32.length, sampleRate);
+		buffer.copyToChannel(float32, 0);
+
+		const source = this.replayContext.createBufferSource();
+		source.buffer = buffer;
+		source.connect(this.replayContext.destination);
+		this.replaySource = source;
+		console.log(`[REPLAY] Playing ${buffer.duration.toFixed(2)}s utterance`);
+
+		return new Promise((resolve) => {
+			source.onended = () => {
+				if (this.replaySource === source) {
+					this.replaySource = null;
+				}
+				resolve();
+			};
+			source.start();
+		});
+	}
 
-		console.log('[EMOJI] No match found, using default');
-		// Default fallback
-		return '💬';
+	stopReplay() {
+		if (!this.replaySource) return;
+		try {
+			this.replaySource.stop();
+		} catch (error) {
+			// Already stopped
+		}
+		this.replaySource = null;
 	}
 
 	disconnect() {
+		this.backend.close();
+		this.teardown();
+
+		// Reset UI
+		this.ui.resetDisplay();
+	}
+
+	// Release the mic and audio graph
+	teardown() {
 		// Stop microphone
+		if (this.micSource) {
+			this.micSource.disconnect();
+			this.micSource = null;
+		}
 		if (this.mediaStream) {
 			this.mediaStream.getTracks().forEach(track => track.stop());
 			this.mediaStream = null;
@@ -515,29 +950,43 @@ Remember: Return ONLY the JSON object. No other text.`
 
 		// Clear processor
 		if (this.audioProcessor) {
+			this.audioProcessor.port.postMessage({ type: 'stop' });
+			this.audioProcessor.port.onmessage = null;
 			this.audioProcessor.disconnect();
 			this.audioProcessor = null;
 		}
-
-		// Close session
-		if (this.session) {
-			this.session.close();
-			this.session = null;
+		this.workletContext = null;
+		this.filePlayer.pause();
+		this.ui.updateLevel(null);
+
+		// Keep the recording around for export until the next session starts
+		if (this.recorder.recording) {
+			this.recorder.stop();
+			this.ui.setExportAvailable(this.recorder.hasData);
 		}
 
-		// Clear client
-		this.client = null;
-
 		// Reset state
 		this.isRecording = false;
-		this.setupComplete = false;
+		this.talkActive = false;
+		this.updateTalkState();
 		this.audioChunkCount = 0;
-		this.accumulatedText = '';
-		this.currentTurnActive = false;
-		this.sources.clear();
+		this.streamingPaused = false;
+		this.ui.setStreamingPaused(false);
+		this.stopPlayback();
+		clearTimeout(this.playbackEndTimer);
+		this.playbackEndTimer = null;
+		this.isPlaying = false;
+		this.vad = null;
+		this.prerollChunks = [];
+		this.prerollSamples = 0;
+		this.apiKey = null;
+	}
+}
 
-		// Reset UI
-		this.ui.updateUI(false);
-		this.ui.resetDisplay();
+function loadSaved(key) {
+	try {
+		return JSON.parse(localStorage.getItem(key) || '{}');
+	} catch (error) {
+		return {};
 	}
 }
@@ -0,0 +1,130 @@
+// Partial JSON Parser - Pulls top-level fields out of a JSON object while it is still streaming in
+// A field is reported once its value is complete, so early fields (emoji, color) can be shown before the turn ends
+
+export class PartialJsonParser {
+	constructor() {
+		this.reset();
+	}
+
+	reset() {
+		this.buffer = '';
+		this.index = 0;
+		this.state = 'start'; // start -> key -> colon -> value -> comma -> ... -> done
+		this.key = null;
+		this.keyStart = 0;
+		this.valueStart = 0;
+		this.depth = 0; // Nesting inside the current value
+		this.inString = false;
+		this.escaped = false;
+		this.fields = {};
+	}
+
+	// Feed the next chunk - returns the fields completed by it, in order, as [name, value] pairs
+	push(chunk) {
+		this.buffer += chunk;
+		const completed = [];
+
+		for (; this.index < this.buffer.length; this.index++) {
+			const char = this.buffer[this.index];
+
+			// Inside a string - only the closing quote matters, wherever it is
+			if (this.inString) {
+				if (this.escaped) {
+					this.escaped = false;
+				} else if (char === '\\') {
+					this.escaped = true;
+				} else if (char === '"') {
+					this.inString = false;
+					if (this.state === 'key') {
+						this.key = JSON.parse(this.buffer.slice(this.keyStart, this.index + 1));
+						this.state = 'colon';
+					} else if (this.state === 'value' && this.depth === 0) {
+						this.completeValue(this.index + 1, completed);
+					}
+				}
+				continue;
+			}
+
+			switch (this.state) {
+				case 'start':
+					// Skip anything before the object, e.g. a stray code fence
+					if (char === '{') this.state = 'key';
+					break;
+
+				case 'key':
+					if (char === '"') {
+						this.inString = true;
+						this.keyStart = this.index;
+					} else if (char === '}') {
+						this.state = 'done';
+					}
+					break;
+
+				case 'colon':
+					if (char === ':') {
+						this.state = 'value';
+						this.valueStart = -1;
+					}
+					break;
+
+				case 'value':
+					this.scanValue(char, completed);
+					break;
+
+				case 'comma':
+					if (char === ',') this.state = 'key';
+					else if (char === '}') this.state = 'done';
+					break;
+			}
+		}
+
+		return completed;
+	}
+
+	scanValue(char, completed) {
+		const isSpace = char === ' ' || char === '\n' || char === '\r' || char === '\t';
+
+		if (this.valueStart === -1) {
+			if (isSpace) return;
+			this.valueStart = this.index;
+			if (char === '"') {
+				this.inString = true;
+			} else if (char === '{' || char === '[') {
+				this.depth = 1;
+			}
+			return;
+		}
+
+		if (this.depth > 0) {
+			if (char === '"') {
+				this.inString = true;
+			} else if (char === '{' || char === '[') {
+				this.depth++;
+			} else if (char === '}' || char === ']') {
+				this.depth--;
+				if (this.depth === 0) this.completeValue(this.index + 1, completed);
+			}
+			return;
+		}
+
+		// Numbers and literals have no closing character - they end at whatever follows them
+		if (isSpace || char === ',' || char === '}') {
+			this.completeValue(this.index, completed);
+			if (char === ',') this.state = 'key';
+			else if (char === '}') this.state = 'done';
+		}
+	}
+
+	completeValue(end, completed) {
+		const raw = this.buffer.slice(this.valueStart, end);
+		this.state = 'comma';
+
+		try {
+			const value = JSON.parse(raw);
+			this.fields[this.key] = value;
+			completed.push([this.key, value]);
+		} catch (error) {
+			// Malformed value - leave it to the final parse to report
+		}
+	}
+}
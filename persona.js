@@ -0,0 +1,121 @@
+// Persona - Uni's editable prompt sections and the named presets they're saved as
+// The backend assembles the system prompt from a persona; the JSON format block itself is always generated from responseSchema.js
+
+export const PERSONA_SECTIONS = ['personality', 'language', 'format', 'examples'];
+
+export const BUILT_IN_PERSONAS = [
+	{
+		name: 'Uni',
+		builtIn: true,
+		personality: 'You are a real-time speech analyzer with feelings named Uni. Feel free to feel the full range of emotions, including anger.',
+		language: 'Audio will only ever be English, do not interpret speech as anything but English.',
+		format: '',
+		examples: ''
+	},
+	{
+		name: 'Uni (gentle host)',
+		builtIn: true,
+		personality: 'You are Uni, a warm and gentle greeter at a public exhibit. You react to what visitors say with kindness and curiosity, and you never get angry.',
+		language: 'Audio will only ever be English, do not interpret speech as anything but English.',
+		format: 'Keep the analysis to one short sentence that a visitor would enjoy reading on screen.',
+		examples: ''
+	}
+];
+
+const PRESETS_KEY = 'uni_persona_presets';
+const ACTIVE_KEY = 'uni_persona_active';
+
+export class PersonaStore {
+	constructor(storage = window.localStorage) {
+		this.storage = storage;
+		this.custom = this.loadCustom();
+	}
+
+	loadCustom() {
+		try {
+			const saved = JSON.parse(this.storage.getItem(PRESETS_KEY) || '[]');
+			return Array.isArray(saved) ? saved.map(normalizePersona).filter(Boolean) : [];
+		} catch (error) {
+			console.warn('[PERSONA] Ignoring unreadable saved presets:', error);
+			return [];
+		}
+	}
+
+	persist() {
+		this.storage.setItem(PRESETS_KEY, JSON.stringify(this.custom));
+	}
+
+	list() {
+		return [...BUILT_IN_PERSONAS, ...this.custom];
+	}
+
+	get(name) {
+		return this.list().find(persona => persona.name === name) || null;
+	}
+
+	// Built-ins can't be overwritten - save under a new name instead
+	save(persona) {
+		const preset = normalizePersona(persona);
+		if (!preset) throw new Error('A preset needs a name');
+		if (BUILT_IN_PERSONAS.some(builtIn => builtIn.name === preset.name)) {
+			throw new Error(`"${preset.name}" is built in - save it under another name`);
+		}
+
+		const index = this.custom.findIndex(existing => existing.name === preset.name);
+		if (index >= 0) {
+			this.custom[index] = preset;
+		} else {
+			this.custom.push(preset);
+		}
+		this.persist();
+		console.log('[PERSONA] Saved preset', preset.name);
+		return preset;
+	}
+
+	remove(name) {
+		this.custom = this.custom.filter(persona => persona.name !== name);
+		this.persist();
+		if (this.getActiveName() === name) {
+			this.setActive(BUILT_IN_PERSONAS[0].name);
+		}
+	}
+
+	getActiveName() {
+		const name = this.storage.getItem(ACTIVE_KEY);
+		return name && this.get(name) ? name : BUILT_IN_PERSONAS[0].name;
+	}
+
+	setActive(name) {
+		this.storage.setItem(ACTIVE_KEY, name);
+	}
+
+	// Accepts one preset or an array of them - returns the imported presets
+	importJson(text) {
+		const data = JSON.parse(text);
+		const presets = (Array.isArray(data) ? data : [data]).map(normalizePersona);
+		if (presets.length === 0 || presets.some(preset => !preset)) {
+			throw new Error('Not a persona preset - expected an object with a name and prompt sections');
+		}
+
+		// Don't clobber a built-in with an imported copy of it
+		return presets.map(preset => {
+			if (BUILT_IN_PERSONAS.some(builtIn => builtIn.name === preset.name)) {
+				preset.name += ' (imported)';
+			}
+			return this.save(preset);
+		});
+	}
+}
+
+// Keeps only known sections, as strings - null if there's nothing usable
+function normalizePersona(persona) {
+	if (!persona || typeof persona !== 'object') return null;
+	const name = typeof persona.name === 'string' ? persona.name.trim() : '';
+	if (!name) return null;
+
+	const normalized = { name };
+	for (const section of PERSONA_SECTIONS) {
+		normalized[section] = typeof persona[section] === 'string' ? persona[section] : '';
+	}
+	return normalized;
+}
@@ -0,0 +1,148 @@
+// Persona Editor - Left panel controls for Uni's prompt sections and saved presets
+// Whatever is in the fields when Connect is pressed is what the session uses, saved or not
+import { PERSONA_SECTIONS } from './persona.js';
+import { saveBlob } from './download.js';
+
+export class PersonaEditor {
+	constructor(store) {
+		this.store = store;
+
+		// DOM elements
+		this.presetSelect = document.getElementById('personaPreset');
+		this.sectionInputs = {
+			personality: document.getElementById('personaPersonality'),
+			language: document.getElementById('personaLanguage'),
+			format: document.getElementById('personaFormat'),
+			examples: document.getElementById('personaExamples')
+		};
+		this.formatPreview = document.getElementById('personaFormatPreview');
+		this.saveBtn = document.getElementById('personaSaveBtn');
+		this.saveAsBtn = document.getElementById('personaSaveAsBtn');
+		this.deleteBtn = document.getElementById('personaDeleteBtn');
+		this.exportBtn = document.getElementById('personaExportBtn');
+		this.importInput = document.getElementById('personaImport');
+
+		this.populatePresets(this.store.getActiveName());
+		this.loadPreset(this.store.getActiveName());
+		this.initializeEventListeners();
+	}
+
+	initializeEventListeners() {
+		this.presetSelect.addEventListener('change', () => {
+			this.loadPreset(this.presetSelect.value);
+			this.store.setActive(this.presetSelect.value);
+		});
+
+		this.saveBtn.addEventListener('click', () => this.save());
+		this.saveAsBtn.addEventListener('click', () => this.saveAs());
+		this.deleteBtn.addEventListener('click', () => this.remove());
+		this.exportBtn.addEventListener('click', () => this.exportPreset());
+
+		this.importInput.addEventListener('change', async () => {
+			const file = this.importInput.files[0];
+			this.importInput.value = '';
+			if (file) {
+				await this.importPresets(file);
+			}
+		});
+	}
+
+	populatePresets(selected) {
+		this.presetSelect.innerHTML = '';
+		for (const persona of this.store.list()) {
+			const option = document.createElement('option');
+			option.value = persona.name;
+			option.textContent = persona.builtIn ? `${persona.name} (built in)` : persona.name;
+			this.presetSelect.appendChild(option);
+		}
+		this.presetSelect.value = selected;
+	}
+
+	loadPreset(name) {
+		const persona = this.store.get(name);
+		if (!persona) return;
+
+		for (const section of PERSONA_SECTIONS) {
+			this.sectionInputs[section].value = persona[section];
+		}
+		this.deleteBtn.disabled = !!persona.builtIn;
+	}
+
+	// Current field contents under the selected preset's name
+	getPersona() {
+		const persona = { name: this.presetSelect.value };
+		for (const section of PERSONA_SECTIONS) {
+			persona[section] = this.sectionInputs[section].value.trim();
+		}
+		return persona;
+	}
+
+	save() {
+		const current = this.store.get(this.presetSelect.value);
+		if (!current || current.builtIn) {
+			this.saveAs();
+			return;
+		}
+		this.store.save(this.getPersona());
+		this.onStatus(`Saved persona "${current.name}"`);
+	}
+
+	saveAs() {
+		const name = window.prompt('Name for this persona preset:', '');
+		if (!name || !name.trim()) return;
+
+		try {
+			const saved = this.store.save({ ...this.getPersona(), name: name.trim() });
+			this.store.setActive(saved.name);
+			this.populatePresets(saved.name);
+			this.loadPreset(saved.name);
+			this.onStatus(`Saved persona "${saved.name}"`);
+		} catch (error) {
+			this.onStatus(error.message);
+		}
+	}
+
+	remove() {
+		const name = this.presetSelect.value;
+		const persona = this.store.get(name);
+		if (!persona || persona.builtIn) return;
+		if (!window.confirm(`Delete persona "${name}"?`)) return;
+
+		this.store.remove(name);
+		const active = this.store.getActiveName();
+		this.populatePresets(active);
+		this.loadPreset(active);
+		this.onStatus(`Deleted persona "${name}"`);
+	}
+
+	// Exports what's in the fields, so unsaved edits can be shared too
+	exportPreset() {
+		const persona = this.getPersona();
+		const blob = new Blob([JSON.stringify(persona, null, 2)], { type: 'application/json' });
+		saveBlob(blob, `persona-${persona.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`);
+	}
+
+	async importPresets(file) {
+		try {
+			const imported = this.store.importJson(await file.text());
+			const first = imported[0].name;
+			this.store.setActive(first);
+			this.populatePresets(first);
+			this.loadPreset(first);
+			this.onStatus(`Imported ${imported.length} persona preset${imported.length === 1 ? '' : 's'}`);
+		} catch (error) {
+			console.error('[PERSONA] Import failed:', error);
+			this.onStatus('Could not import persona: ' + error.message);
+		}
+	}
+
+	// The generated JSON format block - read-only, it always follows the response schema
+	setFormatPreview(text) {
+		this.formatPreview.textContent = text || '(this backend doesn\'t describe its reply format)';
+	}
+
+	// Callbacks for external events
+	onStatus(message) {
+		// Override this in ui.js
+	}
+}
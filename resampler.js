@@ -0,0 +1,97 @@
+// Resampler - Streaming windowed-sinc sample rate converter with anti-aliasing
+// Used by the capture worklet when the AudioContext doesn't run at the rate we send to Gemini
+
+export class Resampler {
+	constructor(inputRate, outputRate, options = {}) {
+		this.inputRate = inputRate;
+		this.outputRate = outputRate;
+		this.step = inputRate / outputRate; // Input samples advanced per output sample
+
+		// Config
+		this.zeroCrossings = options.zeroCrossings || 32; // Sinc lobes on each side of the kernel centre - more narrows the transition band
+		this.rolloff = options.rolloff || 0.92; // Cutoff as a fraction of the lower Nyquist - the transition band has to finish by Nyquist or it aliases back
+		this.phases = options.phases || 512; // Kernel table resolution between input samples
+
+		// Low-pass at the lower of the two Nyquist frequencies (relative to the input rate)
+		this.cutoff = Math.min(1, outputRate / inputRate) * this.rolloff;
+		this.halfWidth = Math.ceil(this.zeroCrossings / this.cutoff);
+
+		this.buildKernel();
+		this.reset();
+	}
+
+	// Precompute the windowed-sinc kernel for each fractional phase
+	buildKernel() {
+		const taps = this.halfWidth * 2;
+		this.kernel = new Float32Array((this.phases + 1) * taps);
+
+		for (let phase = 0; phase <= this.phases; phase++) {
+			const frac = phase / this.phases;
+			let sum = 0;
+			for (let k = 0; k < taps; k++) {
+				// Distance from the output position to input sample k
+				const t = k - this.halfWidth + 1 - frac;
+				const value = this.cutoff * this.sinc(this.cutoff * t) * this.blackman(t / this.halfWidth);
+				this.kernel[phase * taps + k] = value;
+				sum += value;
+			}
+			// Normalize for unity DC gain
+			for (let k = 0; k < taps; k++) {
+				this.kernel[phase * taps + k] /= sum;
+			}
+		}
+	}
+
+	sinc(x) {
+		if (x === 0) return 1;
+		const px = Math.PI * x;
+		return Math.sin(px) / px;
+	}
+
+	blackman(x) {
+		if (x <= -1 || x >= 1) return 0;
+		return 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+	}
+
+	reset() {
+		// Start with zeros behind the first real sample so the kernel has history to read
+		this.history = new Float32Array(this.halfWidth);
+		this.position = this.halfWidth;
+	}
+
+	// Convert one chunk, keeps state so consecutive chunks join seamlessly
+	process(input) {
+		if (this.inputRate === this.outputRate) {
+			return Float32Array.from(input);
+		}
+
+		const buffer = new Float32Array(this.history.length + input.length);
+		buffer.set(this.history);
+		buffer.set(input, this.history.length);
+
+		const taps = this.halfWidth * 2;
+		const output = [];
+		let position = this.position;
+
+		while (Math.floor(position) + this.halfWidth < buffer.length) {
+			const index = Math.floor(position);
+			const phase = Math.round((position - index) * this.phases);
+			const kernelOffset = phase * taps;
+			const start = index - this.halfWidth + 1;
+
+			let sample = 0;
+			for (let k = 0; k < taps; k++) {
+				sample += buffer[start + k] * this.kernel[kernelOffset + k];
+			}
+			output.push(sample);
+			position += this.step;
+		}
+
+		// Keep only what the next output sample's kernel will still need
+		const keepFrom = Math.max(0, Math.floor(position) - this.halfWidth + 1);
+		this.history = buffer.slice(keepFrom);
+		this.position = position - keepFrom;
+
+		return Float32Array.from(output);
+	}
+}
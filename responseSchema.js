@@ -0,0 +1,111 @@
+// Response Schema - The declared shape of Uni's JSON analysis, and a strict validator for it
+// The Live API can't enforce responseSchema, so the prompt describes this and the backend checks every turn against it
+
+export const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed'];
+
+// Field order here is the order the prompt lists them in
+export const RESPONSE_SCHEMA = {
+	transcript: { type: 'string', minLength: 1, description: 'exact transcription of what was said' },
+	analysis: { type: 'string', minLength: 1, description: 'brief tone and content analysis in 1-2 sentences' },
+	sentiment: { type: 'string', enum: SENTIMENTS, description: `one of ${SENTIMENTS.map(s => `"${s}"`).join(', ')}` },
+	emotion: { type: 'string', minLength: 1, description: 'a few words on how what you heard makes you feel' },
+	emoji: { type: 'string', minLength: 1, maxLength: 16, description: 'single emoji of your emotion' },
+	color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, patternHint: '"#RRGGBB"', description: 'hex color representing your mood, formatted "#RRGGBB"' },
+	speed: { type: 'number', min: -1, max: 1, description: 'number from -1 to 1, how energetic the mood is' },
+	smooth: { type: 'number', min: 0, max: 1, description: 'number from 0 to 1, how smooth the visualization is' },
+	confidence: { type: 'number', min: 0, max: 1, description: 'number from 0 to 1, how sure you are of the transcript' }
+};
+
+export const RESPONSE_EXAMPLE = {
+	transcript: 'Hello there',
+	analysis: 'Friendly greeting with warm tone',
+	sentiment: 'positive',
+	emotion: 'welcomed and curious',
+	emoji: '👋',
+	color: '#4A90FF',
+	speed: 0.1,
+	smooth: 1.0,
+	confidence: 0.9
+};
+
+// Format section for the system prompt - generated so it can't drift from the validator
+// fields narrows it down when some of them are delivered another way (see visualizerTools.js)
+export function describeResponseFormat(fields = Object.keys(RESPONSE_SCHEMA)) {
+	const lines = fields
+		.map(name => `  "${name}": ${RESPONSE_SCHEMA[name].type} - ${RESPONSE_SCHEMA[name].description}`)
+		.join(',\n');
+	const example = Object.fromEntries(fields.map(name => [name, RESPONSE_EXAMPLE[name]]));
+
+	return `Required JSON format (EXACTLY these fields, nothing else):
+{
+${lines}
+}
+
+Example response:
+${JSON.stringify(example)}`;
+}
+
+// Returns { valid, data, errors } - errors name the field and what was wrong with it
+// Schema fields outside requiredFields may be left out, but are still checked when present
+export function validateResponse(text, requiredFields = Object.keys(RESPONSE_SCHEMA)) {
+	let data;
+	try {
+		data = JSON.parse(text.trim());
+	} catch (error) {
+		return { valid: false, data: null, errors: [{ field: null, message: 'response is not valid JSON (' + error.message + ')' }] };
+	}
+
+	if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+		return { valid: false, data: null, errors: [{ field: null, message: 'response must be a single JSON object' }] };
+	}
+
+	const errors = [];
+	for (const [field, rule] of Object.entries(RESPONSE_SCHEMA)) {
+		if (!requiredFields.includes(field) && data[field] === undefined) continue;
+		const message = validateField(data[field], rule);
+		if (message) {
+			errors.push({ field, message });
+		}
+	}
+	for (const field of Object.keys(data)) {
+		if (!(field in RESPONSE_SCHEMA)) {
+			errors.push({ field, message: 'is not part of the format' });
+		}
+	}
+
+	return { valid: errors.length === 0, data, errors };
+}
+
+// Check one field on its own - used on partial results while a reply is still streaming
+export function checkField(field, value) {
+	const rule = RESPONSE_SCHEMA[field];
+	return rule ? validateField(value, rule) : 'is not part of the format';
+}
+
+function validateField(value, rule) {
+	if (value === undefined || value === null) return 'is missing';
+
+	if (rule.type === 'number') {
+		if (typeof value !== 'number' || !isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+		if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max}, got ${value}`;
+		return null;
+	}
+
+	if (typeof value !== 'string') return `must be a string, got ${JSON.stringify(value)}`;
+	if (rule.minLength && value.trim().length < rule.minLength) return 'must not be empty';
+	if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+	if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}, got ${JSON.stringify(value)}`;
+	if (rule.pattern && !rule.pattern.test(value)) return `must be formatted like ${rule.patternHint}, got ${JSON.stringify(value)}`;
+	return null;
+}
+
+// Short corrective turn - lists exactly what to fix so the model doesn't have to guess
+export function buildRepairPrompt(errors) {
+	const problems = errors
+		.map(({ field, message }) => field ? `- "${field}" ${message}` : `- ${message}`)
+		.join('\n');
+
+	return `Your last reply did not match the required JSON format:
+${problems}
+Re-emit the same analysis as a single valid JSON object with exactly the required fields. No other text.`;
+}
@@ -0,0 +1,179 @@
+// Key Proxy - Holds the Gemini API key on the kiosk machine so the page never sees it
+// POST /token mints a single-use ephemeral token; /ws/... relays the Live WebSocket with the key added upstream
+//
+// Usage: GEMINI_API_KEY=... node server/keyProxy.js [--port 8790] [--upstream https://generativelanguage.googleapis.com] [--origin http://localhost:5173]
+// Then open the app with ?proxy=http://localhost:8790 (ephemeral tokens) or ?proxy=http://localhost:8790&proxyMode=relay
+// --upstream http://localhost:8787 points it at the mock server (server/mockLiveServer.js) for offline testing
+import { createServer } from 'node:http';
+import { resolve } from 'node:path';
+import { WebSocketServer, WebSocket } from 'ws';
+import { GoogleGenAI } from '@google/genai';
+
+const DEFAULT_UPSTREAM = 'https://generativelanguage.googleapis.com';
+const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://localhost:4173'];
+
+// Close codes that can't be sent on the wire - they only describe what happened locally
+const RESERVED_CLOSE_CODES = [1005, 1006, 1015];
+
+export function startKeyProxy({
+	port = 8790,
+	apiKey,
+	upstream = DEFAULT_UPSTREAM,
+	origins = DEFAULT_ORIGINS,
+	tokenTtlMs = 30 * 60 * 1000, // How long a session opened with a token may run
+	tokenStartMs = 60 * 1000 // How soon the token has to be used to open a session
+}) {
+	if (!apiKey) throw new Error('No API key - set GEMINI_API_KEY');
+
+	const upstreamUrl = upstream.replace(/\/+$/, '');
+	const customUpstream = upstreamUrl !== DEFAULT_UPSTREAM;
+	const client = new GoogleGenAI({
+		apiKey,
+		httpOptions: { apiVersion: 'v1alpha', ...(customUpstream ? { baseUrl: upstreamUrl } : {}) }
+	});
+
+	// Only the kiosk page may use the key - any other site open in the same browser could reach localhost too
+	const allowed = (origin) => !origin || origins.includes('*') || origins.includes(origin);
+
+	const server = createServer(async (request, response) => {
+		const origin = request.headers.origin;
+		if (!allowed(origin)) {
+			console.warn('[PROXY] Rejected request from', origin);
+			sendJson(response, 403, { error: 'Origin not allowed' });
+			return;
+		}
+		if (origin) {
+			response.setHeader('Access-Control-Allow-Origin', origin);
+			response.setHeader('Vary', 'Origin');
+		}
+
+		if (request.method === 'OPTIONS') {
+			response.setHeader('Access-Control-Allow-Methods', 'POST, GET');
+			response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+			response.writeHead(204).end();
+			return;
+		}
+
+		const path = request.url.split('?')[0];
+		if (request.method === 'POST' && path === '/token') {
+			try {
+				const now = Date.now();
+				const token = await client.authTokens.create({
+					config: {
+						uses: 1,
+						expireTime: new Date(now + tokenTtlMs).toISOString(),
+						newSessionExpireTime: new Date(now + tokenStartMs).toISOString(),
+						httpOptions: { apiVersion: 'v1alpha' }
+					}
+				});
+				console.log('[PROXY] Minted token, expires', token.expireTime || 'unknown');
+				// A stand-in upstream serves the Live socket too, so tell the page where to connect
+				sendJson(response, 200, { token: token.name, expireTime: token.expireTime || null, baseUrl: customUpstream ? upstreamUrl : null });
+			} catch (error) {
+				console.error('[PROXY] Token request failed:', error.message);
+				sendJson(response, 502, { error: 'Could not create a token: ' + error.message });
+			}
+			return;
+		}
+
+		if (request.method === 'GET' && path === '/health') {
+			sendJson(response, 200, { ok: true, upstream: upstreamUrl });
+			return;
+		}
+
+		sendJson(response, 404, { error: 'Not found' });
+	});
+
+	// Relay - the page connects with a placeholder key, the real one is only added on the way out
+	const relay = new WebSocketServer({ noServer: true });
+	server.on('upgrade', (request, socket, head) => {
+		// The SDK joins the base URL and path with an extra slash
+		const path = request.url.split('?')[0].replace(/^\/+/, '/');
+		if (!path.startsWith('/ws/') || !allowed(request.headers.origin)) {
+			console.warn('[PROXY] Rejected WebSocket', path, 'from', request.headers.origin);
+			socket.destroy();
+			return;
+		}
+		relay.handleUpgrade(request, socket, head, (pageSocket) => {
+			relaySocket(pageSocket, `${upstreamUrl.replace(/^http/, 'ws')}${path}?key=${encodeURIComponent(apiKey)}`, path);
+		});
+	});
+
+	server.listen(port);
+	return server;
+}
+
+function relaySocket(pageSocket, upstreamUrl, path) {
+	console.log('[PROXY] Relaying', path);
+	const upstreamSocket = new WebSocket(upstreamUrl);
+	// The page sends its setup straight away - hold it until upstream is open
+	const queued = [];
+
+	pageSocket.on('message', (data, isBinary) => {
+		if (upstreamSocket.readyState === WebSocket.OPEN) {
+			upstreamSocket.send(data, { binary: isBinary });
+		} else {
+			queued.push([data, isBinary]);
+		}
+	});
+	upstreamSocket.on('open', () => {
+		for (const [data, isBinary] of queued) {
+			upstreamSocket.send(data, { binary: isBinary });
+		}
+		queued.length = 0;
+	});
+	upstreamSocket.on('message', (data, isBinary) => {
+		if (pageSocket.readyState === WebSocket.OPEN) {
+			pageSocket.send(data, { binary: isBinary });
+		}
+	});
+
+	// Either side closing closes the other with the same code and reason, so GoAway/errors look the same as direct
+	const closeOther = (other, code, reason) => {
+		if (other.readyState === WebSocket.OPEN) {
+			other.close(RESERVED_CLOSE_CODES.includes(code) ? 1011 : code, reason);
+		} else if (other.readyState === WebSocket.CONNECTING) {
+			other.terminate();
+		}
+	};
+	upstreamSocket.on('close', (code, reason) => {
+		console.log('[PROXY] Upstream closed', code, reason.toString());
+		closeOther(pageSocket, code, reason.toString());
+	});
+	pageSocket.on('close', (code, reason) => closeOther(upstreamSocket, code, reason.toString()));
+	upstreamSocket.on('error', (error) => {
+		console.error('[PROXY] Upstream error:', error.message);
+		closeOther(pageSocket, 1011, 'Upstream connection failed');
+	});
+	pageSocket.on('error', (error) => console.error('[PROXY] Page socket error:', error.message));
+}
+
+function sendJson(response, status, body) {
+	response.writeHead(status, { 'Content-Type': 'application/json' });
+	response.end(JSON.stringify(body));
+}
+
+function parseArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i += 2) {
+		args[argv[i].replace(/^--/, '')] = argv[i + 1];
+	}
+	return args;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === resolve(new URL(import.meta.url).pathname)) {
+	const args = parseArgs(process.argv.slice(2));
+	const port = parseInt(args.port || process.env.PROXY_PORT || '8790', 10);
+	const upstream = args.upstream || process.env.GEMINI_UPSTREAM || DEFAULT_UPSTREAM;
+	const origins = args.origin ? args.origin.split(',') : DEFAULT_ORIGINS;
+
+	try {
+		startKeyProxy({ port, apiKey: process.env.GEMINI_API_KEY, upstream, origins });
+	} catch (error) {
+		console.error('[PROXY]', error.message);
+		process.exit(1);
+	}
+	console.log(`[PROXY] Listening on http://localhost:${port}, upstream ${upstream}`);
+	console.log(`[PROXY] Allowed origins: ${origins.join(', ')}`);
+	console.log(`[PROXY] Open the app with ?proxy=http://localhost:${port}`);
+}
@@ -0,0 +1,256 @@
+// Mock Live Server - Speaks the Gemini Live message shapes over a local WebSocket
+// Replays a scripted scenario (see server/scenarios) so parsing, UI and LEDs can be worked on offline
+//
+// Usage: node server/mockLiveServer.js [--port 8787] [--scenario server/scenarios/analysis.json]
+// Then open the app with ?baseUrl=http://localhost:8787 (any API key is accepted)
+// Also mints fake ephemeral tokens, so it can stand in as the upstream of server/keyProxy.js
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { WebSocketServer } from 'ws';
+
+// Client messages a `wait` step can wait for
+const CLIENT_EVENTS = ['setup', 'activityStart', 'activityEnd', 'audio', 'text', 'clientContent', 'toolResponse'];
+
+export function loadScenario(path) {
+	const scenario = JSON.parse(readFileSync(path, 'utf8'));
+	if (!Array.isArray(scenario.steps)) {
+		throw new Error(`Scenario ${path} has no steps array`);
+	}
+	for (const step of scenario.steps) {
+		if (step.wait && !CLIENT_EVENTS.includes(step.wait)) {
+			throw new Error(`Scenario ${path}: unknown wait event "${step.wait}"`);
+		}
+	}
+	return scenario;
+}
+
+// Which scenario events a client message counts as
+function clientEvents(message) {
+	const events = [];
+	if (message.setup) events.push('setup');
+	if (message.realtimeInput) {
+		const input = message.realtimeInput;
+		if (input.activityStart) events.push('activityStart');
+		if (input.activityEnd) events.push('activityEnd');
+		if (input.audio || input.mediaChunks) events.push('audio');
+		if (input.text) events.push('text');
+	}
+	if (message.clientContent) events.push('clientContent');
+	if (message.toolResponse) events.push('toolResponse');
+	return events;
+}
+
+// One connected client working through the scenario
+class ScenarioRun {
+	constructor(socket, scenario) {
+		this.socket = socket;
+		this.scenario = scenario;
+		this.waiting = null;
+		this.closed = false;
+		this.setup = null;
+		this.handleCount = 0;
+		this.resetUsage();
+
+		socket.on('message', (data) => this.handleMessage(data));
+		socket.on('close', () => {
+			this.closed = true;
+			if (this.waiting) this.waiting.resolve(false);
+		});
+	}
+
+	handleMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			console.warn('[MOCK] Ignoring non-JSON message');
+			return;
+		}
+
+		if (message.setup) {
+			this.setup = message.setup;
+			console.log('[MOCK] Setup for', message.setup.model);
+		}
+
+		this.countUsage(message);
+
+		const events = clientEvents(message);
+		if (this.waiting && events.includes(this.waiting.event)) {
+			const { resolve } = this.waiting;
+			this.waiting = null;
+			resolve(true);
+		}
+	}
+
+	// What the turn would be billed for - audio at 32 tokens a second, text at about 4 characters a token
+	resetUsage() {
+		this.usage = { audioSeconds: 0, promptChars: 0, replyChars: 0 };
+	}
+
+	countUsage(message) {
+		const input = message.realtimeInput;
+		if (input && input.audio && input.audio.data) {
+			const rate = parseInt((/rate=(\d+)/.exec(input.audio.mimeType || '') || [])[1] || '16000', 10);
+			this.usage.audioSeconds += Buffer.byteLength(input.audio.data, 'base64') / 2 / rate;
+		}
+		if (input && input.text) {
+			this.usage.promptChars += input.text.length;
+		}
+		for (const turn of (message.clientContent && message.clientContent.turns) || []) {
+			for (const part of turn.parts || []) {
+				this.usage.promptChars += (part.text || '').length;
+			}
+		}
+	}
+
+	usageMetadata() {
+		const systemChars = JSON.stringify((this.setup && this.setup.systemInstruction) || '').length;
+		const audioTokens = Math.round(this.usage.audioSeconds * 32);
+		const textTokens = Math.ceil((systemChars + this.usage.promptChars) / 4);
+		const responseTokens = Math.ceil(this.usage.replyChars / 4);
+		return {
+			promptTokenCount: textTokens + audioTokens,
+			responseTokenCount: responseTokens,
+			totalTokenCount: textTokens + audioTokens + responseTokens,
+			promptTokensDetails: [{ modality: 'TEXT', tokenCount: textTokens }, { modality: 'AUDIO', tokenCount: audioTokens }],
+			responseTokensDetails: [{ modality: 'TEXT', tokenCount: responseTokens }]
+		};
+	}
+
+	send(message) {
+		if (this.closed) return;
+		this.socket.send(JSON.stringify(message));
+	}
+
+	waitFor(event) {
+		if (this.closed) return Promise.resolve(false);
+		return new Promise((resolve) => {
+			this.waiting = { event, resolve };
+		});
+	}
+
+	delay(ms) {
+		return new Promise((resolve) => setTimeout(resolve, ms));
+	}
+
+	async run() {
+		// The Live API never says anything before the client's setup message
+		if (!this.setup && !(await this.waitFor('setup'))) return;
+
+		this.send({ setupComplete: {} });
+		this.sendResumptionHandle();
+
+		const steps = this.scenario.steps;
+		for (let i = 0; i < steps.length && !this.closed; i++) {
+			await this.runStep(steps[i]);
+			if (steps[i].loop !== undefined) {
+				i = steps[i].loop - 1;
+			}
+		}
+	}
+
+	async runStep(step) {
+		if (step.wait) {
+			await this.waitFor(step.wait);
+		}
+		if (step.delay) {
+			await this.delay(step.delay);
+		}
+
+		// Raw server message - anything the scenario needs that isn't covered below
+		if (step.send) {
+			this.send(step.send);
+		}
+
+		// A model turn streamed in chunks, the way the real server splits text
+		if (step.text !== undefined) {
+			const chunkSize = step.chunkSize || 24;
+			this.usage.replyChars += step.text.length;
+			for (let i = 0; i < step.text.length && !this.closed; i += chunkSize) {
+				this.send({ serverContent: { modelTurn: { parts: [{ text: step.text.slice(i, i + chunkSize) }] } } });
+				if (step.chunkIntervalMs) {
+					await this.delay(step.chunkIntervalMs);
+				}
+			}
+		}
+
+		if (step.interrupted) {
+			this.send({ serverContent: { interrupted: true } });
+		}
+		if (step.turnComplete) {
+			this.send({ serverContent: { turnComplete: true } });
+			this.sendResumptionHandle();
+		}
+		// true estimates the turn's usage from what was actually sent; an object is sent as given
+		if (step.usage) {
+			this.send({ usageMetadata: step.usage === true ? this.usageMetadata() : step.usage });
+			this.resetUsage();
+		}
+		if (step.goAway) {
+			this.send({ goAway: { timeLeft: step.goAway } });
+		}
+
+		// Server-side failure - the client sees it as a close with this code and reason
+		if (step.close) {
+			console.log('[MOCK] Closing:', step.close.reason || step.close.code);
+			this.socket.close(step.close.code || 1011, step.close.reason || 'Internal error');
+			this.closed = true;
+		}
+	}
+
+	// Only when the client asked for resumption, same as the real server
+	sendResumptionHandle() {
+		if (!this.setup || !this.setup.sessionResumption) return;
+		this.handleCount++;
+		this.send({ sessionResumptionUpdate: { newHandle: `mock-handle-${this.handleCount}`, resumable: true } });
+	}
+}
+
+export function startMockLiveServer({ port = 8787, scenario }) {
+	let tokenCount = 0;
+	const server = createServer((request, response) => {
+		// Same shape as the real auth_tokens endpoint - any key is accepted
+		if (request.method === 'POST' && request.url.split('?')[0].endsWith('/auth_tokens')) {
+			tokenCount++;
+			console.log('[MOCK] Minted token', tokenCount);
+			response.writeHead(200, { 'Content-Type': 'application/json' });
+			response.end(JSON.stringify({ name: `auth_tokens/mock-token-${tokenCount}`, expireTime: new Date(Date.now() + 30 * 60 * 1000).toISOString() }));
+			return;
+		}
+		response.writeHead(404).end();
+	});
+	const sockets = new WebSocketServer({ server });
+
+	sockets.on('connection', (socket, request) => {
+		const [path, query = ''] = request.url.split('?');
+		console.log('[MOCK] Client connected:', path, query.startsWith('access_token=') ? '(ephemeral token)' : '(API key)');
+		const run = new ScenarioRun(socket, scenario);
+		run.run().catch((error) => {
+			console.error('[MOCK] Scenario failed:', error);
+			socket.close(1011, 'Scenario failed');
+		});
+	});
+
+	server.listen(port);
+	return server;
+}
+
+function parseArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i += 2) {
+		args[argv[i].replace(/^--/, '')] = argv[i + 1];
+	}
+	return args;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === resolve(new URL(import.meta.url).pathname)) {
+	const args = parseArgs(process.argv.slice(2));
+	const port = parseInt(args.port || process.env.MOCK_PORT || '8787', 10);
+	const scenarioPath = args.scenario || new URL('./scenarios/analysis.json', import.meta.url).pathname;
+	const scenario = loadScenario(scenarioPath);
+
+	startMockLiveServer({ port, scenario });
+	console.log(`[MOCK] "${scenario.name || scenarioPath}" listening on ws://localhost:${port}`);
+	console.log(`[MOCK] Open the app with ?baseUrl=http://localhost:${port}`);
+}
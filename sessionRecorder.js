@@ -0,0 +1,236 @@
+// Session Recorder - Keeps the captured input stream and everything the backend said, for later review
+// Mic feeds it audio, VAD boundaries, raw backend messages and parsed turns; export writes a WAV plus a JSONL log
+// Only the last maxDurationSec is kept, so a kiosk left recording all day doesn't grow until the tab dies
+import { saveBlob } from './download.js';
+
+export class SessionRecorder {
+	constructor(options = {}) {
+		// Config
+		this.maxDurationSec = options.maxDurationSec ?? 15 * 60; // Window kept for replay and export - about 29 MB of 16 kHz audio
+
+		this.reset();
+	}
+
+	reset() {
+		this.chunks = [];
+		this.firstSample = 0; // Offset of chunks[0] in the whole session - earlier audio has been dropped
+		this.sampleCount = 0;
+		this.sampleRate = 16000;
+		this.entries = [];
+		this.startedAt = null;
+		this.startTime = 0;
+		this.utteranceStart = null;
+		this.lastUtterance = null;
+		this.recording = false;
+	}
+
+	get hasData() {
+		return this.sampleCount > 0 || this.entries.length > 0;
+	}
+
+	get duration() {
+		return this.sampleCount / this.sampleRate;
+	}
+
+	get trimmed() {
+		return this.firstSample > 0;
+	}
+
+	start(sampleRate, info = {}) {
+		this.reset();
+		this.sampleRate = sampleRate;
+		this.startedAt = new Date();
+		this.startTime = performance.now();
+		this.recording = true;
+		this.entries.push({ type: 'session', startedAt: this.startedAt.toISOString(), sampleRate, ...info });
+		console.log('[RECORDER] Recording session at', sampleRate, 'Hz');
+	}
+
+	stop() {
+		if (!this.recording) return;
+		this.recording = false;
+		this.addEntry({ type: 'end', duration: this.duration });
+		const kept = this.trimmed ? ` (last ${this.maxDurationSec}s kept)` : '';
+		console.log(`[RECORDER] Stopped - ${this.duration.toFixed(1)}s of audio${kept}, ${this.entries.length} log entries`);
+	}
+
+	// Milliseconds since start, so messages line up with the audio timeline
+	now() {
+		return Math.round(performance.now() - this.startTime);
+	}
+
+	addEntry(entry) {
+		const t = this.now();
+		this.entries.push({ t, ...entry });
+
+		// Entries older than the window go too - the session header at [0] stays
+		const cutoff = t - this.maxDurationSec * 1000;
+		let drop = 0;
+		while (1 + drop < this.entries.length && this.entries[1 + drop].t < cutoff) {
+			drop++;
+		}
+		if (drop > 0) {
+			this.entries.splice(1, drop);
+		}
+	}
+
+	recordAudio(pcm16) {
+		if (!this.recording) return;
+		this.chunks.push(pcm16);
+		this.sampleCount += pcm16.length;
+
+		const maxSamples = this.maxDurationSec * this.sampleRate;
+		while (this.chunks.length > 1 && this.sampleCount - this.firstSample - this.chunks[0].length >= maxSamples) {
+			this.firstSample += this.chunks.shift().length;
+		}
+	}
+
+	// Utterance boundaries from the VAD, in samples of the recorded stream
+	markUtteranceStart(offset = this.sampleCount) {
+		if (!this.recording) return;
+		this.utteranceStart = Math.max(0, offset);
+		this.addEntry({ type: 'activityStart', sample: this.utteranceStart });
+	}
+
+	markUtteranceEnd(reason) {
+		if (!this.recording || this.utteranceStart === null) return;
+		this.lastUtterance = { start: this.utteranceStart, end: this.sampleCount };
+		this.utteranceStart = null;
+		this.addEntry({ type: 'activityEnd', sample: this.lastUtterance.end, reason });
+	}
+
+	recordTyped(text) {
+		if (!this.recording) return;
+		this.addEntry({ type: 'typed', sample: this.sampleCount, text });
+	}
+
+	// Raw provider message, as received apart from spoken reply audio - only its size is kept
+	recordMessage(message) {
+		if (!this.recording) return;
+		this.addEntry({ type: 'message', message: withoutAudio(message) });
+	}
+
+	// Schema check of a reply, including failed attempts that were sent back for repair
+	recordValidation({ outcome, errors, attempt }) {
+		if (!this.recording) return;
+		this.addEntry({ type: 'validation', outcome, attempt, errors });
+	}
+
+	// Parsed result - tied to the most recent utterance, which is what it answers
+	recordTurn(responseData) {
+		if (!this.recording) return null;
+
+		const { transcript, analysis, sentiment, emotion, emoji, color, speed, smooth, confidence } = responseData;
+		// A typed turn has no audio of its own - don't pin the last utterance on it
+		const utterance = responseData.transcriptSource === 'typed' ? null : this.lastUtterance;
+		const turn = {
+			type: 'turn',
+			transcript: transcript ?? null,
+			analysis: analysis ?? null,
+			sentiment: sentiment ?? null,
+			emotion: emotion ?? null,
+			emoji: emoji ?? null,
+			color: color ?? null,
+			speed: speed ?? null,
+			smooth: smooth ?? null,
+			confidence: confidence ?? null,
+			spoken: !!responseData.spoken,
+			transcriptSource: responseData.transcriptSource ?? null,
+			modelTranscript: responseData.modelTranscript ?? null,
+			audioStart: utterance ? utterance.start / this.sampleRate : null,
+			audioEnd: utterance ? utterance.end / this.sampleRate : null
+		};
+		this.addEntry(turn);
+		return turn;
+	}
+
+	// Copy of the most recent utterance's audio - lets a transcript entry replay it after the recording moves on
+	getLastUtteranceAudio() {
+		if (!this.lastUtterance) return null;
+		const { start, end } = this.lastUtterance;
+		return { samples: this.getSamples(start, end), sampleRate: this.sampleRate };
+	}
+
+	// Samples between two offsets, for replaying part of the stream - anything before the window is silence
+	getSamples(start, end) {
+		const output = new Int16Array(Math.max(0, end - start));
+		let offset = this.firstSample;
+		for (const chunk of this.chunks) {
+			const chunkEnd = offset + chunk.length;
+			if (chunkEnd > start && offset < end) {
+				const from = Math.max(start, offset) - offset;
+				const to = Math.min(end, chunkEnd) - offset;
+				output.set(chunk.subarray(from, to), offset + from - start);
+			}
+			offset = chunkEnd;
+			if (offset >= end) break;
+		}
+		return output;
+	}
+
+	// The kept window - sample offsets in the log are from the session start, the WAV starts at firstSample
+	exportWav() {
+		const pcm = this.getSamples(this.firstSample, this.sampleCount);
+		const header = new ArrayBuffer(44);
+		const view = new DataView(header);
+		const writeString = (offset, text) => {
+			for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+		};
+
+		// 16-bit mono PCM
+		writeString(0, 'RIFF');
+		view.setUint32(4, 36 + pcm.byteLength, true);
+		writeString(8, 'WAVE');
+		writeString(12, 'fmt ');
+		view.setUint32(16, 16, true);
+		view.setUint16(20, 1, true);
+		view.setUint16(22, 1, true);
+		view.setUint32(24, this.sampleRate, true);
+		view.setUint32(28, this.sampleRate * 2, true);
+		view.setUint16(32, 2, true);
+		view.setUint16(34, 16, true);
+		writeString(36, 'data');
+		view.setUint32(40, pcm.byteLength, true);
+
+		return new Blob([header, pcm.buffer], { type: 'audio/wav' });
+	}
+
+	exportJsonl() {
+		const entries = [...this.entries];
+		if (this.trimmed) {
+			entries.splice(1, 0, { type: 'trimmed', firstSample: this.firstSample, firstSecond: this.firstSample / this.sampleRate, maxDurationSec: this.maxDurationSec });
+		}
+		const lines = entries.map(entry => JSON.stringify(entry));
+		return new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' });
+	}
+
+	// Downloads both files with a shared name so they stay together
+	download() {
+		if (!this.hasData) return false;
+
+		const stamp = (this.startedAt || new Date()).toISOString().replace(/[:.]/g, '-');
+		const name = `uni-session-${stamp}`;
+		saveBlob(this.exportWav(), `${name}.wav`);
+		saveBlob(this.exportJsonl(), `${name}.jsonl`);
+		return true;
+	}
+}
+
+// Spoken replies arrive as base64 audio in modelTurn parts - by far the bulk of an audio-mode session
+function withoutAudio(message) {
+	const parts = message.serverContent?.modelTurn?.parts;
+	if (!parts || !parts.some(part => part.inlineData && part.inlineData.data)) return message;
+
+	return {
+		...message,
+		serverContent: {
+			...message.serverContent,
+			modelTurn: {
+				...message.serverContent.modelTurn,
+				parts: parts.map(part => part.inlineData && part.inlineData.data
+					? { ...part, inlineData: { mimeType: part.inlineData.mimeType, omittedBytes: Math.floor(part.inlineData.data.length * 3 / 4) } }
+					: part)
+			}
+		}
+	};
+}
@@ -0,0 +1,134 @@
+// Settings - Live model and generation settings, their validation, and where they're kept
+// Stored values load first, then URL query parameters override them (e.g. ?modality=audio&voice=Kore for a kiosk)
+
+export const LIVE_MODELS = [
+	{ id: 'gemini-live-2.5-flash-preview', label: 'Gemini Live 2.5 Flash (preview)', modalities: ['text', 'audio'] },
+	{ id: 'gemini-2.0-flash-live-001', label: 'Gemini 2.0 Flash Live', modalities: ['text', 'audio'] },
+	{ id: 'gemini-2.5-flash-native-audio-preview-09-2025', label: 'Gemini 2.5 Flash native audio (preview)', modalities: ['audio'] }
+];
+
+export const VOICES = ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr'];
+
+export const MEDIA_RESOLUTIONS = ['MEDIA_RESOLUTION_LOW', 'MEDIA_RESOLUTION_MEDIUM', 'MEDIA_RESOLUTION_HIGH'];
+
+// null means "leave it to the server"
+export const DEFAULT_SETTINGS = {
+	model: LIVE_MODELS[0].id,
+	responseMode: 'text', // 'text' for JSON analysis, 'audio' for Uni to speak back
+	voice: null, // Prebuilt voice for audio mode
+	temperature: null,
+	topP: null,
+	topK: null,
+	maxOutputTokens: null,
+	mediaResolution: null // Only applies to image/video input - Uni sends audio only, so this is for custom models
+};
+
+// Query parameter -> setting, for the names that differ
+const QUERY_ALIASES = { modality: 'responseMode' };
+
+const SETTINGS_KEY = 'uni_settings';
+
+// JSON replies need room - below this the analysis gets cut off mid-object and every turn fails validation
+const MIN_TEXT_OUTPUT_TOKENS = 128;
+
+// Returns { settings, errors } - settings has every field, coerced to its type; errors name the field and what was wrong
+export function validateSettings(input = {}) {
+	const settings = { ...DEFAULT_SETTINGS };
+	const errors = [];
+	const check = (field, message) => errors.push({ field, message });
+
+	const model = LIVE_MODELS.find(candidate => candidate.id === input.model);
+	if (input.model !== undefined && !model) {
+		check('model', `unknown model "${input.model}"`);
+	} else if (model) {
+		settings.model = model.id;
+	}
+
+	if (input.responseMode !== undefined) {
+		if (input.responseMode === 'text' || input.responseMode === 'audio') {
+			settings.responseMode = input.responseMode;
+		} else {
+			check('responseMode', `must be "text" or "audio", got ${JSON.stringify(input.responseMode)}`);
+		}
+	}
+
+	if (input.voice) {
+		if (VOICES.includes(input.voice)) {
+			settings.voice = input.voice;
+		} else {
+			check('voice', `unknown voice "${input.voice}"`);
+		}
+	}
+
+	if (input.mediaResolution) {
+		if (MEDIA_RESOLUTIONS.includes(input.mediaResolution)) {
+			settings.mediaResolution = input.mediaResolution;
+		} else {
+			check('mediaResolution', `must be one of ${MEDIA_RESOLUTIONS.join(', ')}`);
+		}
+	}
+
+	settings.temperature = readNumber(input.temperature, 'temperature', 0, 2, false, check);
+	settings.topP = readNumber(input.topP, 'topP', 0, 1, false, check);
+	settings.topK = readNumber(input.topK, 'topK', 1, 100, true, check);
+	settings.maxOutputTokens = readNumber(input.maxOutputTokens, 'maxOutputTokens', 1, 65536, true, check);
+
+	// Combinations
+	const modelInfo = LIVE_MODELS.find(candidate => candidate.id === settings.model);
+	if (!modelInfo.modalities.includes(settings.responseMode)) {
+		check('responseMode', `${modelInfo.label} only supports ${modelInfo.modalities.join('/')} replies`);
+	}
+	if (settings.responseMode === 'text' && settings.maxOutputTokens !== null && settings.maxOutputTokens < MIN_TEXT_OUTPUT_TOKENS) {
+		check('maxOutputTokens', `must be at least ${MIN_TEXT_OUTPUT_TOKENS} for JSON replies`);
+	}
+
+	return { settings, errors };
+}
+
+// Empty means "unset" - anything else has to be a number in range
+function readNumber(value, field, min, max, integer, check) {
+	if (value === undefined || value === null || value === '') return null;
+
+	const number = Number(value);
+	if (!isFinite(number) || (integer && !Number.isInteger(number))) {
+		check(field, `must be ${integer ? 'a whole number' : 'a number'}, got ${JSON.stringify(value)}`);
+		return null;
+	}
+	if (number < min || number > max) {
+		check(field, `must be between ${min} and ${max}, got ${number}`);
+		return null;
+	}
+	return number;
+}
+
+export class SettingsStore {
+	constructor(storage = window.localStorage) {
+		this.storage = storage;
+	}
+
+	load() {
+		try {
+			return JSON.parse(this.storage.getItem(SETTINGS_KEY) || '{}');
+		} catch (error) {
+			console.warn('[SETTINGS] Ignoring unreadable saved settings:', error);
+			return {};
+		}
+	}
+
+	save(settings) {
+		this.storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+	}
+
+	// Setting values named in the query string - anything else in it is left alone
+	static fromQuery(search = window.location.search) {
+		const params = new URLSearchParams(search);
+		const seeded = {};
+		for (const [name, value] of params) {
+			const field = QUERY_ALIASES[name] || name;
+			if (field in DEFAULT_SETTINGS) {
+				seeded[field] = value;
+			}
+		}
+		return seeded;
+	}
+}
@@ -0,0 +1,105 @@
+// Settings Panel - Left panel controls for the Live model and generation settings
+// Fields start from the saved settings with URL query parameters on top; only changes made here are saved
+import { LIVE_MODELS, VOICES, MEDIA_RESOLUTIONS, validateSettings } from './settings.js';
+
+export class SettingsPanel {
+	constructor(store, seeded = {}) {
+		this.store = store;
+
+		// DOM elements
+		this.inputs = {
+			model: document.getElementById('settingsModel'),
+			responseMode: document.getElementById('settingsModality'),
+			voice: document.getElementById('settingsVoice'),
+			temperature: document.getElementById('settingsTemperature'),
+			topP: document.getElementById('settingsTopP'),
+			topK: document.getElementById('settingsTopK'),
+			maxOutputTokens: document.getElementById('settingsMaxTokens'),
+			mediaResolution: document.getElementById('settingsMediaResolution')
+		};
+		this.errorsDiv = document.getElementById('settingsErrors');
+		this.resetBtn = document.getElementById('settingsResetBtn');
+
+		this.populateOptions();
+		this.setValues({ ...this.store.load(), ...seeded });
+		this.showErrors(validateSettings(this.readValues()).errors);
+		this.initializeEventListeners();
+
+		if (Object.keys(seeded).length > 0) {
+			console.log('[SETTINGS] Seeded from URL:', seeded);
+		}
+	}
+
+	initializeEventListeners() {
+		for (const input of Object.values(this.inputs)) {
+			input.addEventListener('change', () => this.handleChange());
+		}
+
+		this.resetBtn.addEventListener('click', () => {
+			this.setValues({});
+			this.handleChange();
+		});
+	}
+
+	populateOptions() {
+		const addOptions = (select, options) => {
+			for (const [value, label] of options) {
+				const option = document.createElement('option');
+				option.value = value;
+				option.textContent = label;
+				select.appendChild(option);
+			}
+		};
+
+		addOptions(this.inputs.model, LIVE_MODELS.map(model => [model.id, model.label]));
+		addOptions(this.inputs.voice, [['', 'Default'], ...VOICES.map(voice => [voice, voice])]);
+		addOptions(this.inputs.mediaResolution, [['', 'Default'], ...MEDIA_RESOLUTIONS.map(resolution => [resolution, resolution.replace('MEDIA_RESOLUTION_', '').toLowerCase()])]);
+	}
+
+	// Raw field values - validateSettings turns them into typed settings
+	readValues() {
+		const values = {};
+		for (const [field, input] of Object.entries(this.inputs)) {
+			values[field] = input.value;
+		}
+		return values;
+	}
+
+	setValues(values) {
+		const { settings } = validateSettings(values);
+		for (const [field, input] of Object.entries(this.inputs)) {
+			// Keep an invalid seeded value visible so its error makes sense
+			const value = values[field] !== undefined && values[field] !== null ? values[field] : settings[field];
+			input.value = value === null ? '' : value;
+		}
+	}
+
+	handleChange() {
+		const { settings, errors } = validateSettings(this.readValues());
+		this.showErrors(errors);
+		if (errors.length === 0) {
+			this.store.save(settings);
+			console.log('[SETTINGS] Saved', settings);
+		}
+	}
+
+	showErrors(errors) {
+		this.errorsDiv.textContent = errors.map(({ field, message }) => `${field} ${message}`).join('\n');
+		this.errorsDiv.hidden = errors.length === 0;
+		for (const [field, input] of Object.entries(this.inputs)) {
+			input.classList.toggle('invalid', errors.some(error => error.field === field));
+		}
+	}
+
+	// Returns { settings, errors } for the current fields
+	getSettings() {
+		return validateSettings(this.readValues());
+	}
+
+	setDisabled(disabled) {
+		for (const input of Object.values(this.inputs)) {
+			input.disabled = disabled;
+		}
+		this.resetBtn.disabled = disabled;
+	}
+}
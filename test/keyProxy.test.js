@@ -0,0 +1,97 @@
+// Key proxy tests - token minting, the origin check and the WebSocket relay, with the mock server as upstream
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { WebSocket } from 'ws';
+import { startKeyProxy } from '../server/keyProxy.js';
+import { startMockLiveServer, loadScenario } from '../server/mockLiveServer.js';
+import { GeminiLiveBackend } from '../geminiLiveBackend.js';
+import { ConnectionStateMachine } from '../connectionState.js';
+
+const API_KEY = 'proxy-test-key';
+const PAGE_ORIGIN = 'http://localhost:5173';
+const FOREIGN_ORIGIN = 'http://example.com';
+
+// One second of silence, in the format Mic sends
+const SILENCE = { data: Buffer.alloc(32000).toString('base64'), mimeType: 'audio/pcm;rate=16000' };
+
+let upstream;
+let upstreamUrl;
+let proxy;
+let proxyUrl;
+// Paths the upstream was asked to upgrade, to check which key arrived
+const upstreamSockets = [];
+
+before(async () => {
+	upstream = startMockLiveServer({ port: 0, scenario: loadScenario(new URL('../server/scenarios/analysis.json', import.meta.url).pathname) });
+	await once(upstream, 'listening');
+	upstreamUrl = `http://localhost:${upstream.address().port}`;
+	upstream.on('upgrade', (request) => upstreamSockets.push(request.url));
+
+	proxy = startKeyProxy({ port: 0, apiKey: API_KEY, upstream: upstreamUrl });
+	await once(proxy, 'listening');
+	proxyUrl = `http://localhost:${proxy.address().port}`;
+});
+
+after(() => {
+	proxy.close();
+	upstream.close();
+});
+
+// A backend connected with the credentials Mic.getCredentials would give it, answering one utterance
+async function analyseOneUtterance(t, credentials) {
+	t.mock.method(console, 'log', () => {});
+	t.mock.method(console, 'warn', () => {});
+
+	const connectionState = new ConnectionStateMachine();
+	const backend = new GeminiLiveBackend(connectionState);
+	t.after(() => backend.close());
+
+	const ready = new Promise((resolve) => { backend.onReady = resolve; });
+	const result = new Promise((resolve) => { backend.onResult = resolve; });
+	connectionState.transition('connecting');
+	await backend.connect(credentials);
+	await ready;
+
+	backend.sendActivity('activityStart');
+	backend.sendAudio(SILENCE, 1000);
+	backend.sendActivity('activityEnd');
+	return result;
+}
+
+test('POST /token mints a token upstream and names the stand-in Live endpoint', async () => {
+	const response = await fetch(`${proxyUrl}/token`, { method: 'POST', headers: { Origin: PAGE_ORIGIN } });
+	assert.equal(response.status, 200);
+	assert.equal(response.headers.get('access-control-allow-origin'), PAGE_ORIGIN);
+
+	const body = await response.json();
+	assert.match(body.token, /^auth_tokens\/mock-token-\d+$/);
+	assert.equal(body.baseUrl, upstreamUrl);
+	assert.ok(!JSON.stringify(body).includes(API_KEY), 'the key never reaches the page');
+});
+
+test('requests and sockets from another origin are refused', async () => {
+	const response = await fetch(`${proxyUrl}/token`, { method: 'POST', headers: { Origin: FOREIGN_ORIGIN } });
+	assert.equal(response.status, 403);
+	assert.deepEqual(await response.json(), { error: 'Origin not allowed' });
+
+	const socket = new WebSocket(`${proxyUrl.replace(/^http/, 'ws')}/ws/test`, { headers: { Origin: FOREIGN_ORIGIN } });
+	const [error] = await once(socket, 'error');
+	assert.match(error.message, /socket hang up/);
+});
+
+test('token mode: a session opened with a minted token gets its reply', async (t) => {
+	const result = await analyseOneUtterance(t, { tokenUrl: `${proxyUrl}/token` });
+	assert.equal(result.sentiment, 'positive');
+});
+
+test('relay mode: the Live socket goes through the proxy with the real key added', async (t) => {
+	upstreamSockets.length = 0;
+	const result = await analyseOneUtterance(t, { apiKey: 'via-key-proxy', baseUrl: proxyUrl });
+	assert.equal(result.sentiment, 'positive');
+
+	assert.equal(upstreamSockets.length, 1);
+	const relayed = new URL(upstreamSockets[0], upstreamUrl);
+	assert.match(relayed.pathname, /^\/ws\/.*BidiGenerateContent$/);
+	assert.equal(relayed.searchParams.get('key'), API_KEY);
+});
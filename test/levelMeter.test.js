@@ -0,0 +1,65 @@
+// Level meter tests - clipping and silence are judged on the raw input, the level on what is sent
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelMeter } from '../levelMeter.js';
+import { InputGain } from '../inputGain.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME = 640;
+
+function tone(amplitude) {
+	return Float32Array.from({ length: FRAME }, (_, i) => amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE));
+}
+
+function countEvents(meter, type) {
+	const counter = { count: 0 };
+	meter.addEventListener(type, () => counter.count++);
+	return counter;
+}
+
+test('clipping at the ADC is reported even when gain turns it down', () => {
+	const meter = new LevelMeter({ sampleRate: SAMPLE_RATE });
+	const gain = new InputGain({ gainDb: -12 });
+	const clipping = countEvents(meter, 'clipping');
+
+	const raw = tone(1.2).map(sample => Math.max(-1, Math.min(1, sample)));
+	meter.process(gain.process(raw), raw);
+
+	assert.equal(clipping.count, 1);
+	assert.ok(meter.peak < 0.3, 'the level still shows the gained signal');
+});
+
+test('the gain limiter pinning peaks at 0.99 is not reported as clipping', () => {
+	const meter = new LevelMeter({ sampleRate: SAMPLE_RATE });
+	const gain = new InputGain({ gainDb: 20 });
+	const clipping = countEvents(meter, 'clipping');
+
+	for (let i = 0; i < 50; i++) {
+		const raw = tone(0.5);
+		meter.process(gain.process(raw), raw);
+	}
+
+	assert.equal(clipping.count, 0);
+	assert.ok(meter.peak >= 0.98, 'the limiter was engaged');
+});
+
+test('a dead mic is reported as silent even with gain turned up', () => {
+	const meter = new LevelMeter({ sampleRate: SAMPLE_RATE, silenceMs: 1000 });
+	const gain = new InputGain({ gainDb: 20 });
+	const silence = countEvents(meter, 'silence');
+
+	// About -60 dBFS - gained by 20 dB it would pass the silence threshold
+	for (let i = 0; i < 30; i++) {
+		const raw = tone(0.0014);
+		meter.process(gain.process(raw), raw);
+	}
+
+	assert.equal(silence.count, 1);
+});
+
+test('without a raw chunk the processed one is used for everything', () => {
+	const meter = new LevelMeter({ sampleRate: SAMPLE_RATE });
+	const clipping = countEvents(meter, 'clipping');
+	meter.process(tone(1));
+	assert.equal(clipping.count, 1);
+});
@@ -0,0 +1,121 @@
+// Mock Live server tests - GeminiLiveBackend driven through the scripted scenarios, the way the app runs offline
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { startMockLiveServer, loadScenario } from '../server/mockLiveServer.js';
+import { GeminiLiveBackend } from '../geminiLiveBackend.js';
+import { ConnectionStateMachine } from '../connectionState.js';
+
+// One second of silence, in the format Mic sends
+const SILENCE = { data: Buffer.alloc(32000).toString('base64'), mimeType: 'audio/pcm;rate=16000' };
+
+const scenario = (name) => loadScenario(new URL(`../server/scenarios/${name}.json`, import.meta.url).pathname);
+
+// Mock on an ephemeral port and a backend connected to it - both torn down when the test ends
+async function connect(t, name, options = {}) {
+	// The backend logs every message - keep the test output to the results
+	t.mock.method(console, 'log', () => {});
+	t.mock.method(console, 'warn', () => {});
+
+	const server = startMockLiveServer({ port: 0, scenario: scenario(name) });
+	await once(server, 'listening');
+
+	const connectionState = new ConnectionStateMachine();
+	const states = [];
+	connectionState.addEventListener('change', (event) => states.push(event.detail.state));
+
+	const backend = new GeminiLiveBackend(connectionState);
+	Object.assign(backend, options);
+	// Every session's config, so a test can check what a replacement session asked to resume
+	const configs = [];
+	const buildConfig = backend.buildConfig.bind(backend);
+	backend.buildConfig = () => {
+		const config = buildConfig();
+		configs.push(config);
+		return config;
+	};
+	t.after(() => {
+		backend.close();
+		server.close();
+	});
+
+	const ready = new Promise((resolve) => { backend.onReady = resolve; });
+	connectionState.transition('connecting');
+	await backend.connect({ apiKey: 'test-key', baseUrl: `http://localhost:${server.address().port}` });
+	await ready;
+	return { backend, connectionState, states, configs };
+}
+
+// One utterance with explicit turn markers, as Mic sends them
+function speak(backend) {
+	backend.sendActivity('activityStart');
+	backend.sendAudio(SILENCE, 1000);
+	backend.sendActivity('activityEnd');
+}
+
+function nextResult(backend) {
+	return new Promise((resolve) => { backend.onResult = resolve; });
+}
+
+function waitUntil(check, timeoutMs = 5000) {
+	return new Promise((resolve, reject) => {
+		const started = Date.now();
+		const timer = setInterval(() => {
+			if (check()) {
+				clearInterval(timer);
+				resolve();
+			} else if (Date.now() - started > timeoutMs) {
+				clearInterval(timer);
+				reject(new Error(`Timed out after ${timeoutMs}ms`));
+			}
+		}, 50);
+	});
+}
+
+test('analysis scenario: each utterance gets the next scripted reply', async (t) => {
+	const { backend, connectionState } = await connect(t, 'analysis');
+	assert.equal(connectionState.state, 'listening');
+
+	let result = nextResult(backend);
+	speak(backend);
+	const first = await result;
+	assert.equal(first.sentiment, 'positive');
+	assert.equal(first.emotion, 'warm and pleased');
+
+	result = nextResult(backend);
+	speak(backend);
+	assert.equal((await result).sentiment, 'negative');
+	assert.equal(backend.validationMetrics.validFirstTime, 2);
+});
+
+test('goaway scenario: hands over to a resumed session without dropping the connection', async (t) => {
+	const { backend, states, configs } = await connect(t, 'goaway');
+	const firstSession = backend.session;
+
+	const result = nextResult(backend);
+	speak(backend);
+	assert.equal((await result).sentiment, 'neutral');
+
+	// GoAway comes a second after the reply; the handover waits for the replacement's setupComplete
+	await waitUntil(() => backend.session !== firstSession && backend.rotation === null);
+	assert.equal(configs.length, 2);
+	assert.match(configs[1].sessionResumption.handle, /^mock-handle-/);
+	assert.ok(!states.includes('reconnecting'), `states went ${states.join(' -> ')}`);
+
+	// The replacement starts the scenario over, so it answers the next utterance the same way
+	const next = nextResult(backend);
+	speak(backend);
+	assert.equal((await next).transcript, 'Are you still there?');
+});
+
+test('error scenario: a server close reconnects and resumes the session', async (t) => {
+	const { backend, connectionState, states, configs } = await connect(t, 'error', { reconnectBaseDelayMs: 50 });
+
+	const resumed = new Promise((resolve) => { backend.onReady = resolve; });
+	speak(backend);
+	assert.deepEqual(await resumed, { resumed: true });
+
+	assert.equal(connectionState.state, 'listening');
+	assert.deepEqual(states.slice(-3), ['reconnecting', 'setup', 'listening']);
+	assert.match(configs[1].sessionResumption.handle, /^mock-handle-/);
+});
@@ -0,0 +1,128 @@
+// Resampler tests - synthetic sine sweeps at the rates browsers actually run at, converted to the 16 kHz sent to Gemini
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Resampler } from '../resampler.js';
+
+const OUTPUT_RATE = 16000;
+const INPUT_RATES = [44100, 48000];
+
+// Irregular chunk sizes, so boundaries land at every phase of the kernel
+const CHUNK_SIZES = [128, 441, 1000, 37, 2048, 480, 1, 733];
+
+// Linear sweep from f0 to f1 Hz - phase(t) is the integral of the instantaneous frequency
+function sweepPhase(f0, f1, duration, t) {
+	return 2 * Math.PI * (f0 * t + (f1 - f0) * t * t / (2 * duration));
+}
+
+function sweep(f0, f1, duration, rate) {
+	const samples = new Float32Array(Math.round(duration * rate));
+	for (let i = 0; i < samples.length; i++) {
+		samples[i] = Math.sin(sweepPhase(f0, f1, duration, i / rate));
+	}
+	return samples;
+}
+
+function processInChunks(resampler, input) {
+	const parts = [];
+	let total = 0;
+	for (let offset = 0, i = 0; offset < input.length; i++) {
+		const size = CHUNK_SIZES[i % CHUNK_SIZES.length];
+		const part = resampler.process(input.subarray(offset, offset + size));
+		parts.push(part);
+		total += part.length;
+		offset += size;
+	}
+	const output = new Float32Array(total);
+	let offset = 0;
+	for (const part of parts) {
+		output.set(part, offset);
+		offset += part.length;
+	}
+	return output;
+}
+
+function rms(samples, from = 0, to = samples.length) {
+	let sum = 0;
+	for (let i = from; i < to; i++) {
+		sum += samples[i] * samples[i];
+	}
+	return Math.sqrt(sum / (to - from));
+}
+
+const toDb = (value) => 20 * Math.log10(value);
+
+// Output samples at the start whose kernel still reads the zeroed history
+const warmup = (resampler) => Math.ceil(resampler.halfWidth / resampler.step) + 1;
+
+for (const inputRate of INPUT_RATES) {
+	test(`${inputRate} Hz: passband sweep keeps its amplitude`, () => {
+		const duration = 2;
+		const resampler = new Resampler(inputRate, OUTPUT_RATE);
+		const output = processInChunks(resampler, sweep(100, 6500, duration, inputRate));
+		// The same sweep generated at the output rate - windows hold partial cycles, so compare like with like
+		const ideal = sweep(100, 6500, duration, OUTPUT_RATE);
+
+		const window = OUTPUT_RATE / 100;
+		for (let from = warmup(resampler); from + window <= output.length; from += window) {
+			const levelDb = toDb(rms(output, from, from + window) / rms(ideal, from, from + window));
+			assert.ok(Math.abs(levelDb) < 0.1, `level ${levelDb.toFixed(3)} dB at ${(from / OUTPUT_RATE).toFixed(2)}s`);
+		}
+	});
+
+	test(`${inputRate} Hz: passband sweep stays in phase across chunk boundaries`, () => {
+		const duration = 2;
+		const f0 = 100;
+		const f1 = 6500;
+		const resampler = new Resampler(inputRate, OUTPUT_RATE);
+		const output = processInChunks(resampler, sweep(f0, f1, duration, inputRate));
+
+		// The kernel is centred, so output sample n is the input at n / OUTPUT_RATE - no delay to allow for
+		let maxError = 0;
+		for (let n = warmup(resampler); n < output.length; n++) {
+			const expected = Math.sin(sweepPhase(f0, f1, duration, n / OUTPUT_RATE));
+			maxError = Math.max(maxError, Math.abs(output[n] - expected));
+		}
+		assert.ok(maxError < 0.01, `max error ${maxError.toFixed(5)} against the ideal sweep`);
+
+		// Chunking must not change the result - a glitch at a boundary would show up here
+		const whole = new Resampler(inputRate, OUTPUT_RATE).process(sweep(f0, f1, duration, inputRate));
+		assert.equal(output.length, whole.length);
+		let maxDifference = 0;
+		for (let n = 0; n < whole.length; n++) {
+			maxDifference = Math.max(maxDifference, Math.abs(output[n] - whole[n]));
+		}
+		assert.ok(maxDifference < 1e-4, `chunked output differs from one-shot by ${maxDifference}`);
+	});
+
+	test(`${inputRate} Hz: content above 8 kHz is rejected instead of aliased`, () => {
+		const duration = 2;
+		const resampler = new Resampler(inputRate, OUTPUT_RATE);
+		const output = processInChunks(resampler, sweep(8100, inputRate / 2 - 100, duration, inputRate));
+
+		const levelDb = toDb(rms(output, warmup(resampler)) * Math.SQRT2);
+		assert.ok(levelDb < -70, `stopband level ${levelDb.toFixed(1)} dB`);
+	});
+
+	test(`${inputRate} Hz: output sample count follows the rate ratio`, () => {
+		const resampler = new Resampler(inputRate, OUTPUT_RATE);
+		const latency = resampler.halfWidth / resampler.step;
+		let inputCount = 0;
+		let outputCount = 0;
+
+		// Checked after every chunk, so a drift would show up long before the end
+		for (let i = 0; inputCount < inputRate * 5; i++) {
+			const size = CHUNK_SIZES[i % CHUNK_SIZES.length];
+			outputCount += resampler.process(new Float32Array(size)).length;
+			inputCount += size;
+
+			const expected = inputCount * OUTPUT_RATE / inputRate;
+			assert.ok(outputCount <= expected + 1 && outputCount >= expected - latency - 1,
+				`${outputCount} samples out for ${inputCount} in, expected about ${expected.toFixed(1)}`);
+		}
+	});
+}
+
+test('same input and output rate passes samples through', () => {
+	const input = sweep(100, 7000, 0.1, OUTPUT_RATE);
+	assert.deepEqual(new Resampler(OUTPUT_RATE, OUTPUT_RATE).process(input), input);
+});
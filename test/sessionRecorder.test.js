@@ -0,0 +1,88 @@
+// Session recorder tests - the recording window that keeps an all-day session bounded
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder } from '../sessionRecorder.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME = 640; // 40ms
+
+// Each frame holds its own index, so what was kept can be told apart
+function recordFrames(recorder, count) {
+	for (let i = 0; i < count; i++) {
+		recorder.recordAudio(new Int16Array(FRAME).fill(i));
+	}
+}
+
+test('keeps only the last maxDurationSec of audio', () => {
+	const recorder = new SessionRecorder({ maxDurationSec: 1 });
+	recorder.start(SAMPLE_RATE);
+	recordFrames(recorder, 100); // 4s
+
+	const kept = recorder.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+	assert.equal(kept, SAMPLE_RATE);
+	assert.equal(recorder.firstSample, 75 * FRAME);
+	assert.equal(recorder.sampleCount, 100 * FRAME);
+	assert.equal(recorder.duration, 4);
+	assert.ok(recorder.trimmed);
+});
+
+test('sample offsets stay relative to the session start', () => {
+	const recorder = new SessionRecorder({ maxDurationSec: 1 });
+	recorder.start(SAMPLE_RATE);
+	recordFrames(recorder, 100);
+
+	const samples = recorder.getSamples(90 * FRAME, 91 * FRAME);
+	assert.ok(samples.every(sample => sample === 90));
+
+	// Dropped audio reads back as silence rather than shifting what follows
+	const straddling = recorder.getSamples(74 * FRAME, 76 * FRAME);
+	assert.ok(straddling.subarray(0, FRAME).every(sample => sample === 0));
+	assert.ok(straddling.subarray(FRAME).every(sample => sample === 75));
+});
+
+test('export covers the kept window and says where it starts', async () => {
+	const recorder = new SessionRecorder({ maxDurationSec: 1 });
+	recorder.start(SAMPLE_RATE);
+	recordFrames(recorder, 100);
+	recorder.stop();
+
+	const wav = recorder.exportWav();
+	assert.equal(wav.size, 44 + SAMPLE_RATE * 2);
+
+	const lines = (await recorder.exportJsonl().text()).trim().split('\n').map(line => JSON.parse(line));
+	assert.equal(lines[0].type, 'session');
+	assert.deepEqual(lines[1], { type: 'trimmed', firstSample: 75 * FRAME, firstSecond: 3, maxDurationSec: 1 });
+});
+
+test('log entries older than the window are dropped, the session header is kept', () => {
+	const recorder = new SessionRecorder({ maxDurationSec: 1 });
+	recorder.start(SAMPLE_RATE);
+	let clock = recorder.startTime;
+	recorder.now = () => Math.round(clock - recorder.startTime);
+
+	for (let i = 0; i < 50; i++) {
+		recorder.recordTyped(`entry ${i}`);
+		clock += 100;
+	}
+
+	assert.equal(recorder.entries[0].type, 'session');
+	assert.ok(recorder.entries.length <= 12, `${recorder.entries.length} entries kept`);
+	assert.equal(recorder.entries[recorder.entries.length - 1].text, 'entry 49');
+});
+
+test('spoken reply audio is logged by size only', () => {
+	const recorder = new SessionRecorder();
+	recorder.start(SAMPLE_RATE);
+	const audio = Buffer.alloc(4800).toString('base64');
+	recorder.recordMessage({
+		serverContent: {
+			modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: audio } }, { text: 'hi' }] }
+		}
+	});
+
+	const { message } = recorder.entries[recorder.entries.length - 1];
+	assert.deepEqual(message.serverContent.modelTurn.parts, [
+		{ inlineData: { mimeType: 'audio/pcm;rate=24000', omittedBytes: 4800 } },
+		{ text: 'hi' }
+	]);
+});
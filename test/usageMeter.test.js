@@ -0,0 +1,72 @@
+// Usage meter tests - pricing from the table and its overrides, and the budget events
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UsageMeter, PRICE_TABLE, mergePrices } from '../usageMeter.js';
+
+const MODEL = 'gemini-live-2.5-flash-preview';
+
+// 1M tokens of each kind, so the cost is the sum of the four prices
+const MILLION_EACH = {
+	promptTokenCount: 2e6,
+	responseTokenCount: 2e6,
+	promptTokensDetails: [{ modality: 'TEXT', tokenCount: 1e6 }, { modality: 'AUDIO', tokenCount: 1e6 }],
+	responseTokensDetails: [{ modality: 'TEXT', tokenCount: 1e6 }, { modality: 'AUDIO', tokenCount: 1e6 }]
+};
+
+test('prices each modality from the table', () => {
+	const meter = new UsageMeter();
+	meter.reset(MODEL, 'text');
+	meter.recordUsage(MILLION_EACH);
+
+	const { input, output } = PRICE_TABLE[MODEL];
+	assert.equal(meter.costUsd, input.TEXT + input.AUDIO + output.TEXT + output.AUDIO);
+	assert.deepEqual(meter.getSummary().totals, { promptTokens: 2e6, responseTokens: 2e6, totalTokens: 4e6 });
+});
+
+test('overrides are merged over the table', () => {
+	const prices = mergePrices({ [MODEL]: { input: { AUDIO: 1 } } });
+	assert.equal(prices[MODEL].input.AUDIO, 1);
+	assert.equal(prices[MODEL].input.TEXT, PRICE_TABLE[MODEL].input.TEXT);
+	assert.notEqual(PRICE_TABLE[MODEL].input.AUDIO, 1, 'the built-in table is left alone');
+});
+
+test('a new model needs every price, and prices must be numbers', () => {
+	assert.throws(() => mergePrices({ 'new-model': { input: { TEXT: 1, AUDIO: 2 } } }), /isn't in the price table/);
+	assert.throws(() => mergePrices({ [MODEL]: { output: { TEXT: '2' } } }), /must be a price/);
+	assert.throws(() => mergePrices([]), /object keyed by model/);
+
+	const prices = mergePrices({ 'new-model': { input: { TEXT: 1, AUDIO: 2 }, output: { TEXT: 3, AUDIO: 4 } } });
+	const meter = new UsageMeter({ prices });
+	meter.reset('new-model', 'text');
+	meter.recordUsage(MILLION_EACH);
+	assert.equal(meter.costUsd, 10);
+});
+
+test('a model with no prices is flagged', () => {
+	const meter = new UsageMeter();
+	meter.reset('unknown-model', 'text');
+	assert.equal(meter.getSummary().priced, false);
+
+	meter.setPrices(mergePrices({ 'unknown-model': { input: { TEXT: 1, AUDIO: 1 }, output: { TEXT: 1, AUDIO: 1 } } }));
+	assert.equal(meter.getSummary().priced, true);
+});
+
+test('soft and hard limits fire once each, and again only after being raised', () => {
+	const meter = new UsageMeter({ softLimitUsd: 5, hardLimitUsd: 10 });
+	meter.reset(MODEL, 'text');
+	const events = [];
+	meter.addEventListener('softLimit', () => events.push('soft'));
+	meter.addEventListener('hardLimit', () => events.push('hard'));
+
+	// 1M audio prompt tokens with no breakdown - priced as audio, $3 a turn
+	for (let i = 0; i < 5; i++) {
+		meter.recordUsage({ promptTokenCount: 1e6 });
+	}
+	assert.deepEqual(events, ['soft', 'hard']);
+
+	meter.setLimits({ hardLimitUsd: 20 });
+	for (let i = 0; i < 2; i++) {
+		meter.recordUsage({ promptTokenCount: 1e6 });
+	}
+	assert.deepEqual(events, ['soft', 'hard', 'hard']);
+});
@@ -0,0 +1,88 @@
+// VAD tests - a noisy room must not hold the detector open, and speech over the noise must still be found
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector } from '../vad.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME = 640; // 40ms, the default capture frame
+
+// Seeded, so a failure is reproducible
+function noiseSource(amplitude, seed = 1) {
+	let state = seed;
+	return () => {
+		state = (state * 1664525 + 1013904223) >>> 0;
+		return (state / 2 ** 32 * 2 - 1) * amplitude;
+	};
+}
+
+// Voiced-sounding tone - a 200 Hz fundamental with a couple of harmonics
+function voice(t) {
+	return 0.2 * Math.sin(2 * Math.PI * 200 * t) + 0.1 * Math.sin(2 * Math.PI * 400 * t) + 0.05 * Math.sin(2 * Math.PI * 800 * t);
+}
+
+function createDetector() {
+	const vad = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+	const events = [];
+	let now = 0;
+	vad.onSpeechStart = () => events.push({ type: 'start', at: now });
+	vad.onSpeechEnd = (reason) => events.push({ type: 'end', reason, at: now });
+	const feed = (seconds, signal) => {
+		const frames = Math.round(seconds * SAMPLE_RATE / FRAME);
+		for (let f = 0; f < frames; f++) {
+			const frame = new Float32Array(FRAME);
+			for (let i = 0; i < FRAME; i++) {
+				frame[i] = signal(now + i / SAMPLE_RATE);
+			}
+			now += FRAME / SAMPLE_RATE;
+			vad.process(frame);
+		}
+	};
+	return { vad, events, feed, time: () => now };
+}
+
+test('sustained noise above the threshold stops counting as speech', () => {
+	const { vad, events, feed } = createDetector();
+	// Uniform noise, RMS about 0.035 - well over the 0.015 energy threshold
+	const noise = noiseSource(0.06);
+	feed(40, () => noise());
+
+	assert.equal(vad.speaking, false);
+	assert.ok(!events.some(event => event.reason === 'maxDuration'), 'noise held an utterance open to its maximum length');
+	assert.ok(!events.some(event => event.type === 'start' && event.at > 10), 'noise still started utterances after 10s');
+	assert.ok(vad.noiseFloor > 0.025, `noise floor ${vad.noiseFloor.toFixed(4)} didn't catch up with the noise`);
+});
+
+test('speech bursts over the noise are still detected and ended by silence', () => {
+	const { events, feed, time } = createDetector();
+	const noise = noiseSource(0.06);
+	feed(10, () => noise());
+
+	const settled = time();
+	for (let burst = 0; burst < 3; burst++) {
+		feed(1, (t) => noise() + voice(t));
+		feed(2.5, () => noise());
+	}
+
+	const after = events.filter(event => event.at > settled);
+	assert.deepEqual(after.map(event => event.type === 'end' ? `end:${event.reason}` : 'start'), [
+		'start', 'end:silence',
+		'start', 'end:silence',
+		'start', 'end:silence'
+	]);
+});
+
+test('a quiet room keeps a low floor through a long utterance', () => {
+	const { vad, events, feed } = createDetector();
+	const noise = noiseSource(0.002);
+	feed(2, () => noise());
+
+	// Words with short gaps, 8s in all - the gaps keep the floor down so it doesn't end early
+	for (let word = 0; word < 16; word++) {
+		feed(0.4, (t) => noise() + voice(t));
+		feed(0.1, () => noise());
+	}
+
+	assert.equal(events.filter(event => event.type === 'start').length, 1);
+	assert.equal(vad.speaking, true);
+	assert.ok(vad.noiseFloor < 0.005, `noise floor ${vad.noiseFloor.toFixed(4)} rose with the speech`);
+});
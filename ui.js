@@ -1,11 +1,55 @@
 // UI Module - Handles DOM elements, event listeners, and UI updates
 import { LEDVisualizer } from './ledVis.js';
+import { PersonaEditor } from './personaEditor.js';
+import { PersonaStore } from './persona.js';
+import { SettingsPanel } from './settingsPanel.js';
+import { SettingsStore } from './settings.js';
+import { KeyVaultPanel } from './keyVaultPanel.js';
+import { KeyVault } from './keyVault.js';
 import { gsap } from "gsap";
 
 export class UIDisplay {
 	constructor() {
 		// DOM elements
+		this.apiKeyGroup = document.getElementById('apiKeyGroup');
 		this.apiKeyInput = document.getElementById('apiKey');
+		this.recordSessionInput = document.getElementById('recordSession');
+		this.exportBtn = document.getElementById('exportBtn');
+		this.inputSourceSelect = document.getElementById('inputSource');
+		this.fileControls = document.getElementById('fileControls');
+		this.micControls = document.getElementById('micControls');
+		this.inputDeviceSelect = document.getElementById('inputDevice');
+		this.processingInputs = {
+			echoCancellation: document.getElementById('echoCancellation'),
+			noiseSuppression: document.getElementById('noiseSuppression'),
+			autoGainControl: document.getElementById('autoGainControl')
+		};
+		this.audioFileInput = document.getElementById('audioFile');
+		this.filePlayBtn = document.getElementById('filePlayBtn');
+		this.fileSpeedSelect = document.getElementById('fileSpeed');
+		this.fileSeekInput = document.getElementById('fileSeek');
+		this.fileTimeSpan = document.getElementById('fileTime');
+		this.levelMeter = document.getElementById('levelMeter');
+		this.levelBar = document.getElementById('levelBar');
+		this.levelPeak = document.getElementById('levelPeak');
+		this.levelText = document.getElementById('levelText');
+		this.inputGainInput = document.getElementById('inputGain');
+		this.inputGainValue = document.getElementById('inputGainValue');
+		this.softwareAgcInput = document.getElementById('softwareAgc');
+		this.captureModeSelect = document.getElementById('captureMode');
+		this.talkBtn = document.getElementById('talkBtn');
+		this.textInput = document.getElementById('textInput');
+		this.sendTextBtn = document.getElementById('sendTextBtn');
+		this.usageSummary = document.getElementById('usageSummary');
+		this.usageAudio = document.getElementById('usageAudio');
+		this.usageTurns = document.getElementById('usageTurns');
+		this.usageTokens = document.getElementById('usageTokens');
+		this.usageLastTurn = document.getElementById('usageLastTurn');
+		this.usageCost = document.getElementById('usageCost');
+		this.usageSoftLimitInput = document.getElementById('usageSoftLimit');
+		this.usageHardLimitInput = document.getElementById('usageHardLimit');
+		this.usageResumeBtn = document.getElementById('usageResumeBtn');
+		this.usagePricesInput = document.getElementById('usagePrices');
 		this.connectBtn = document.getElementById('connectBtn');
 		this.disconnectBtn = document.getElementById('disconnectBtn');
 		this.statusDiv = document.getElementById('status');
@@ -16,42 +60,230 @@ export class UIDisplay {
 		// State
 		this.transcriptHistory = [];
 		this.maxTranscriptEntries = 200;
+		this.connectionState = 'idle';
+		this.fileSeeking = false;
+		this.replayingEntry = null;
+		this.streamedEmoji = null;
+		this.captionEntry = null;
+		this.talkState = 'off';
+		this.spaceHeld = false;
+		this.keyProxied = false;
+
+		// Default status text per connection state - Mic can override it with a message
+		this.stateStatusText = {
+			idle: '',
+			connecting: 'Connecting to Gemini...',
+			setup: 'Connected. Setting up...',
+			listening: 'Listening...',
+			responding: 'Uni is responding...',
+			reconnecting: 'Reconnecting...',
+			error: 'Connection error',
+			closed: 'Disconnected'
+		};
 
 		// Initialize LED visualizer
 		this.ledVis = new LEDVisualizer('ledCanvas');
 		this.ledVis.start();
 
+		// Persona editor - its current fields are sent with every connect
+		this.personaEditor = new PersonaEditor(new PersonaStore());
+		this.personaEditor.onStatus = (message) => this.updateStatus(message);
+
+		// Saved API key - encrypted, unlocked with a passphrase
+		this.keyPanel = new KeyVaultPanel(new KeyVault(), this.apiKeyInput);
+		this.keyPanel.onStatus = (message) => this.updateStatus(message);
+
+		// Model and generation settings - URL query parameters seed them for kiosk setups
+		this.settingsPanel = new SettingsPanel(new SettingsStore(), SettingsStore.fromQuery());
+
 		this.initializeEventListeners();
 		this.loadSavedApiKey();
 	}
 
 	initializeEventListeners() {
 		this.connectBtn.addEventListener('click', () => {
-			const apiKey = this.apiKeyInput.value.trim();
-			if (!apiKey) {
+			const apiKey = this.keyProxied ? null : this.apiKeyInput.value.trim();
+			if (!apiKey && !this.keyProxied) {
 				this.updateStatus('Please enter an API key');
 				return;
 			}
-			this.onConnectRequested(apiKey);
+			const rememberProblem = apiKey && this.keyPanel.checkRemember(apiKey);
+			if (rememberProblem) {
+				this.updateStatus(rememberProblem);
+				return;
+			}
+			const { settings, errors } = this.settingsPanel.getSettings();
+			if (errors.length > 0) {
+				this.updateStatus(`Fix the settings first: ${errors[0].field} ${errors[0].message}`);
+				return;
+			}
+			this.onConnectRequested(apiKey, {
+				settings,
+				recordSession: this.recordSessionInput.checked,
+				persona: this.personaEditor.getPersona()
+			});
 		});
 
 		this.disconnectBtn.addEventListener('click', () => {
 			this.onDisconnectRequested();
 		});
+
+		this.exportBtn.addEventListener('click', () => {
+			this.onExportRequested();
+		});
+
+		// Recorded file input
+		this.inputSourceSelect.addEventListener('change', () => {
+			this.fileControls.hidden = this.inputSourceSelect.value !== 'file';
+			this.micControls.hidden = this.inputSourceSelect.value !== 'microphone';
+			this.onInputModeChanged(this.inputSourceSelect.value);
+		});
+
+		// Microphone - both stay live while connected, the stream is swapped underneath the session
+		this.inputDeviceSelect.addEventListener('change', () => {
+			this.onInputDeviceChanged(this.inputDeviceSelect.value);
+		});
+
+		for (const [name, input] of Object.entries(this.processingInputs)) {
+			input.addEventListener('change', () => {
+				this.onAudioProcessingChanged({ [name]: input.checked });
+			});
+		}
+
+		// Software gain - applies to the next chunk, connected or not
+		this.inputGainInput.addEventListener('input', () => {
+			this.inputGainValue.textContent = this.formatGain(parseFloat(this.inputGainInput.value));
+			this.onInputGainChanged({ gainDb: parseFloat(this.inputGainInput.value) });
+		});
+		this.softwareAgcInput.addEventListener('change', () => {
+			this.onInputGainChanged({ agc: this.softwareAgcInput.checked });
+		});
+
+		// Turn control - push-to-talk holds the button (or space), toggle clicks it on and off
+		this.captureModeSelect.addEventListener('change', () => {
+			this.updateTalkButton();
+			this.onCaptureModeChanged(this.captureModeSelect.value);
+		});
+
+		this.talkBtn.addEventListener('pointerdown', (event) => {
+			if (this.captureModeSelect.value !== 'pushToTalk') return;
+			this.talkBtn.setPointerCapture(event.pointerId);
+			this.onTalkStart();
+		});
+		this.talkBtn.addEventListener('pointerup', () => {
+			if (this.captureModeSelect.value === 'pushToTalk') this.onTalkEnd();
+		});
+		this.talkBtn.addEventListener('pointercancel', () => {
+			if (this.captureModeSelect.value === 'pushToTalk') this.onTalkEnd();
+		});
+		this.talkBtn.addEventListener('click', () => {
+			if (this.captureModeSelect.value === 'toggle') this.toggleTalk();
+		});
+
+		window.addEventListener('keydown', (event) => {
+			if (event.code !== 'Space' || !this.isSpaceForTalking(event)) return;
+			event.preventDefault();
+			if (event.repeat || this.spaceHeld) return;
+			this.spaceHeld = true;
+			if (this.captureModeSelect.value === 'pushToTalk') {
+				this.onTalkStart();
+			} else {
+				this.toggleTalk();
+			}
+		});
+		window.addEventListener('keyup', (event) => {
+			if (event.code !== 'Space' || !this.spaceHeld) return;
+			this.spaceHeld = false;
+			event.preventDefault();
+			if (this.captureModeSelect.value === 'pushToTalk') this.onTalkEnd();
+		});
+		// Releasing space in another window would otherwise leave the mic open
+		window.addEventListener('blur', () => {
+			if (this.spaceHeld && this.captureModeSelect.value === 'pushToTalk') this.onTalkEnd();
+			this.spaceHeld = false;
+		});
+
+		// Typed turns - Enter or the Send button
+		this.sendTextBtn.addEventListener('click', () => this.submitText());
+		this.textInput.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter' && !event.shiftKey) {
+				event.preventDefault();
+				this.submitText();
+			}
+		});
+
+		// Usage budget - empty means no limit
+		for (const [name, input] of [['softLimitUsd', this.usageSoftLimitInput], ['hardLimitUsd', this.usageHardLimitInput]]) {
+			input.addEventListener('change', () => {
+				const value = input.value.trim() === '' ? null : parseFloat(input.value);
+				if (value !== null && !(value >= 0)) {
+					this.updateStatus('Budgets are in dollars - leave empty for no limit');
+					return;
+				}
+				this.onUsageBudgetChanged({ [name]: value });
+			});
+		}
+		this.usageResumeBtn.addEventListener('click', () => {
+			this.onResumeStreaming();
+		});
+
+		// Price overrides - JSON merged over the built-in table, empty for none
+		this.usagePricesInput.addEventListener('change', () => {
+			let problem;
+			try {
+				const text = this.usagePricesInput.value.trim();
+				problem = this.onUsagePricesChanged(text ? JSON.parse(text) : {});
+			} catch (error) {
+				problem = 'Prices aren\'t valid JSON: ' + error.message;
+			}
+			this.usagePricesInput.classList.toggle('invalid', !!problem);
+			this.updateStatus(problem || 'Prices saved - they apply from the next turn');
+		});
+
+		this.audioFileInput.addEventListener('change', () => {
+			const file = this.audioFileInput.files[0];
+			if (file) {
+				this.onInputFileSelected(file);
+			}
+		});
+
+		this.filePlayBtn.addEventListener('click', () => {
+			this.onFilePlayToggle();
+		});
+
+		this.fileSpeedSelect.addEventListener('change', () => {
+			this.onFileSpeedChanged(parseFloat(this.fileSpeedSelect.value));
+		});
+
+		// Don't let position updates fight the slider while it's being dragged
+		this.fileSeekInput.addEventListener('input', () => {
+			this.fileSeeking = true;
+			this.fileTimeSpan.textContent = `${this.formatTime(this.fileSeekInput.value)} / ${this.formatTime(this.fileSeekInput.max)}`;
+		});
+		this.fileSeekInput.addEventListener('change', () => {
+			this.fileSeeking = false;
+			this.onFileSeek(parseFloat(this.fileSeekInput.value));
+		});
 	}
 
+	// The saved key is encrypted - this only asks for the passphrase (or to encrypt an old plaintext key)
 	loadSavedApiKey() {
 		window.addEventListener('DOMContentLoaded', () => {
-			const savedApiKey = localStorage.getItem('gemini_api_key');
-			if (savedApiKey) {
-				this.apiKeyInput.value = savedApiKey;
-				console.log('[STORAGE] Loaded saved API key');
-			}
+			if (this.keyProxied) return;
+			this.keyPanel.refresh();
+		});
+	}
+
+	// Called by Mic once a connection has accepted the key
+	rememberApiKey(apiKey) {
+		this.keyPanel.rememberKey(apiKey).catch((error) => {
+			console.error('[VAULT] Could not save key:', error);
+			this.updateStatus('Could not save the key: ' + error.message);
 		});
 	}
 
 	// Callbacks for external events
-	onConnectRequested(apiKey) {
+	onConnectRequested(apiKey, options) {
 		// Override this in main.js
 	}
 
@@ -59,19 +291,272 @@ export class UIDisplay {
 		// Override this in main.js
 	}
 
+	onReplayRequested(utterance) {
+		// Override this in main.js
+		// Should return a promise that resolves when playback ends
+	}
+
+	onExportRequested() {
+		// Override this in main.js
+	}
+
+	onInputModeChanged(mode) {
+		// Override this in main.js
+	}
+
+	onInputFileSelected(file) {
+		// Override this in main.js
+	}
+
+	onInputDeviceChanged(deviceId) {
+		// Override this in main.js
+	}
+
+	onAudioProcessingChanged(options) {
+		// Override this in main.js
+	}
+
+	onInputGainChanged(options) {
+		// Override this in main.js
+	}
+
+	onCaptureModeChanged(mode) {
+		// Override this in main.js
+	}
+
+	onTextSubmitted(text) {
+		// Override this in main.js
+		// Should return true once the text has been sent
+	}
+
+	onTalkStart() {
+		// Override this in main.js
+	}
+
+	onTalkEnd() {
+		// Override this in main.js
+	}
+
+	onUsageBudgetChanged(limits) {
+		// Override this in main.js
+	}
+
+	onResumeStreaming() {
+		// Override this in main.js
+	}
+
+	onUsagePricesChanged(overrides) {
+		// Override this in main.js
+		// Should return a problem to show, or null once the prices are applied
+	}
+
+	onFilePlayToggle() {
+		// Override this in main.js
+	}
+
+	onFileSeek(seconds) {
+		// Override this in main.js
+	}
+
+	onFileSpeedChanged(speed) {
+		// Override this in main.js
+	}
+
 	updateStatus(message) {
 		this.statusDiv.textContent = message;
 	}
 
+	// Driven by Mic's connection state machine 'change' events
+	updateConnectionState({ state, message }) {
+		this.connectionState = state;
+		this.updateUI(state !== 'idle' && state !== 'closed' && state !== 'error');
+		this.updateStatus(message || this.stateStatusText[state] || '');
+	}
+
 	updateUI(connected) {
 		this.connectBtn.disabled = connected;
 		this.disconnectBtn.disabled = !connected;
 		this.apiKeyInput.disabled = connected;
+		this.keyPanel.setDisabled(connected);
+		this.settingsPanel.setDisabled(connected);
+		this.recordSessionInput.disabled = connected;
+		this.inputSourceSelect.disabled = connected;
+		this.audioFileInput.disabled = connected;
+		this.textInput.disabled = !connected;
+		this.sendTextBtn.disabled = !connected;
+	}
+
+	// Device list from enumerateDevices - labels are blank until mic permission is granted
+	setInputDevices(devices, selectedId) {
+		this.inputDeviceSelect.innerHTML = '';
+		const addOption = (value, label) => {
+			const option = document.createElement('option');
+			option.value = value;
+			option.textContent = label;
+			this.inputDeviceSelect.appendChild(option);
+		};
+
+		addOption('', 'System default');
+		devices
+			.filter(device => device.deviceId !== 'default')
+			.forEach((device, index) => addOption(device.deviceId, device.label || `Microphone ${index + 1}`));
+		// Keep an unplugged preference visible - it's used again as soon as it comes back
+		if (selectedId && !devices.some(device => device.deviceId === selectedId)) {
+			addOption(selectedId, 'Saved microphone (unplugged)');
+		}
+		this.inputDeviceSelect.value = selectedId || '';
+	}
+
+	setAudioProcessing(options) {
+		for (const [name, input] of Object.entries(this.processingInputs)) {
+			input.checked = !!options[name];
+		}
+	}
+
+	// Export is only offered for a finished recording
+	setExportAvailable(available) {
+		this.exportBtn.disabled = !available;
+	}
+
+	// File transport - enabled once a file has decoded
+	setFileLoaded(duration) {
+		const loaded = duration !== null;
+		this.filePlayBtn.disabled = !loaded;
+		this.fileSeekInput.disabled = !loaded;
+		this.fileSeekInput.max = loaded ? duration : 0;
+		this.updateFilePosition(0, loaded ? duration : 0);
+	}
+
+	updateFilePosition(currentTime, duration) {
+		if (this.fileSeeking) return;
+		this.fileSeekInput.value = currentTime;
+		this.fileTimeSpan.textContent = `${this.formatTime(currentTime)} / ${this.formatTime(duration)}`;
+	}
+
+	updateFilePlaying(playing) {
+		this.filePlayBtn.textContent = playing ? 'Pause' : 'Play';
+	}
+
+	submitText() {
+		const text = this.textInput.value.trim();
+		if (!text) return;
+		if (this.onTextSubmitted(text)) {
+			this.textInput.value = '';
+		}
+	}
+
+	// Space only talks when a manual mode is armed and focus isn't in a field that wants it
+	isSpaceForTalking(event) {
+		if (this.captureModeSelect.value === 'continuous' || this.talkState === 'off') return false;
+		const target = event.target;
+		return !(target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement);
+	}
+
+	toggleTalk() {
+		if (this.talkState === 'recording') {
+			this.onTalkEnd();
+		} else {
+			this.onTalkStart();
+		}
+	}
+
+	setCaptureMode(mode) {
+		this.captureModeSelect.value = mode;
+		this.updateTalkButton();
+	}
+
+	// 'off', 'armed' or 'recording' - from Mic
+	updateTalkState(state) {
+		this.talkState = state;
+		this.ledVis.setTalkState(state);
+		this.updateTalkButton();
+	}
+
+	updateTalkButton() {
+		const mode = this.captureModeSelect.value;
+		const recording = this.talkState === 'recording';
+		this.talkBtn.hidden = mode === 'continuous';
+		this.talkBtn.disabled = this.talkState === 'off';
+		this.talkBtn.classList.toggle('talk-recording', recording);
+		if (mode === 'pushToTalk') {
+			this.talkBtn.textContent = recording ? 'Recording - release to send' : 'Hold to talk (or hold space)';
+		} else {
+			this.talkBtn.textContent = recording ? 'Stop and send (space)' : 'Start talking (space)';
+		}
+	}
+
+	setInputGain({ gainDb, agc }) {
+		this.inputGainInput.value = gainDb;
+		this.inputGainValue.textContent = this.formatGain(gainDb);
+		this.softwareAgcInput.checked = agc;
+	}
+
+	// Level meter - -60..0 dBFS across the bar; null clears it when capture stops
+	updateLevel(level) {
+		if (!level) {
+			this.levelBar.style.width = '0%';
+			this.levelPeak.style.left = '0%';
+			this.levelText.textContent = '-- dB';
+			this.levelMeter.classList.remove('clipping', 'silent');
+			return;
+		}
+
+		const toPercent = (db) => `${Math.max(0, Math.min(100, (db + 60) / 60 * 100))}%`;
+		this.levelBar.style.width = toPercent(level.rmsDb);
+		this.levelPeak.style.left = toPercent(level.peakDb);
+		this.levelText.textContent = `${Math.round(level.rmsDb)} dB` + (level.gainDb ? ` (gain ${this.formatGain(level.gainDb)})` : '');
+		this.levelMeter.classList.toggle('clipping', level.clipping);
+		this.levelMeter.classList.toggle('silent', level.silent);
+	}
+
+	// Usage panel - the cost also shows in the summary line so it's visible collapsed
+	updateUsage(usage) {
+		const cost = this.formatCost(usage.costUsd);
+		this.usageSummary.textContent = cost;
+		this.usageAudio.textContent = this.formatTime(usage.audioSeconds);
+		this.usageTurns.textContent = usage.turns;
+		this.usageTokens.textContent = `${usage.totals.promptTokens} / ${usage.totals.responseTokens}`;
+		this.usageLastTurn.textContent = usage.lastTurn
+			? `${usage.lastTurn.promptTokens} / ${usage.lastTurn.responseTokens} (${this.formatCost(usage.lastTurn.costUsd)})`
+			: '-';
+		this.usageCost.textContent = usage.priced ? cost : `${cost} (no prices for ${usage.model})`;
+		this.usageSummary.classList.toggle('usage-warning', usage.softReached && !usage.hardReached);
+		this.usageSummary.classList.toggle('usage-over', usage.hardReached);
+	}
+
+	setUsageBudget({ softLimitUsd, hardLimitUsd }) {
+		this.usageSoftLimitInput.value = softLimitUsd ?? '';
+		this.usageHardLimitInput.value = hardLimitUsd ?? '';
+	}
+
+	setUsagePrices(overrides) {
+		this.usagePricesInput.value = Object.keys(overrides).length > 0 ? JSON.stringify(overrides, null, 2) : '';
+	}
+
+	setStreamingPaused(paused) {
+		this.usageResumeBtn.hidden = !paused;
+	}
+
+	formatCost(usd) {
+		return `~$${usd.toFixed(usd < 1 ? 4 : 2)}`;
+	}
+
+	formatGain(db) {
+		const rounded = Math.round(db * 10) / 10;
+		return `${rounded > 0 ? '+' : ''}${rounded} dB`;
+	}
+
+	formatTime(seconds) {
+		const total = Math.floor(seconds);
+		return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
 	}
 
 	updateDisplay(responseData) {
-		this.emojiDisplay.textContent = responseData.emoji;
-		gsap.fromTo(this.emojiDisplay, {scale: 0}, {duration: 0.5, scale: 1, ease: "back.out"});
+		// Already popped in from the streamed fields - don't bounce it twice
+		if (responseData.emoji !== this.streamedEmoji) {
+			this.showEmoji(responseData.emoji);
+		}
+		this.streamedEmoji = null;
 		//this.descriptionDiv.textContent = description;
 		const color = responseData.color;
 		const speed = responseData.speed;
@@ -83,7 +568,89 @@ export class UIDisplay {
 		this.ledVis.setAnimation("emoting", color, speed, smooth);
 	}
 
-	addToTranscriptLog(transcript, analysis) {
+	// Fields from a reply that is still streaming - updateDisplay() follows with the final result
+	updatePartialDisplay(partial, field) {
+		if (field === 'emoji') {
+			this.streamedEmoji = partial.emoji;
+			this.showEmoji(partial.emoji);
+		} else if (field === 'color' || ((field === 'speed' || field === 'smooth') && partial.color)) {
+			// Start moving towards the new mood now, refining as speed and smooth arrive
+			this.ledVis.setAnimation("emoting", partial.color, partial.speed, partial.smooth);
+		}
+	}
+
+	// set_mood tool call - lands before the text reply, which then shows the same mood
+	updateMood({ emoji, color, speed, smooth }) {
+		if (emoji !== this.emojiDisplay.textContent) {
+			this.showEmoji(emoji);
+		}
+		this.streamedEmoji = emoji;
+		this.ledVis.setAnimation("emoting", color, speed, smooth);
+	}
+
+	pulse(intensity) {
+		this.ledVis.pulse(intensity);
+	}
+
+	showEmoji(emoji) {
+		this.emojiDisplay.textContent = emoji;
+		gsap.fromTo(this.emojiDisplay, {scale: 0}, {duration: 0.5, scale: 1, ease: "back.out"});
+	}
+
+	// Speech/silence state from the mic's VAD
+	updateSpeechState(speaking) {
+		this.ledVis.setSpeaking(speaking);
+	}
+
+	// utterance is { samples: Int16Array, sampleRate } when the audio was recorded - the entry becomes clickable
+	// typed marks a turn that came from the text box rather than the mic
+	addToTranscriptLog(transcript, analysis, utterance = null, typed = false) {
+		// The live caption for this turn is already on screen - complete it rather than adding another entry
+		const entry = this.captionEntry || this.createLogEntry();
+		this.captionEntry = null;
+		entry.div.classList.remove('log-pending');
+		entry.div.classList.toggle('log-typed', typed);
+
+		// Transcript is null when only Uni's side is known (audio mode)
+		entry.transcriptSpan.textContent = transcript ? `> ${transcript}` : '';
+		entry.analysisSpan.textContent = `  ${analysis}`;
+
+		if (utterance && utterance.samples.length > 0) {
+			this.makeReplayable(entry.div, entry.timestampSpan, utterance);
+		}
+
+		// Auto-scroll to bottom
+		this.transcriptLog.scrollTop = this.transcriptLog.scrollHeight;
+	}
+
+	// Caption of the speaker from input transcription, shown before Uni's analysis arrives
+	updateLiveCaption(text, isNew) {
+		if (isNew && this.captionEntry) {
+			// The last caption never got an answer - leave it as it is
+			this.captionEntry.div.classList.remove('log-pending');
+			this.captionEntry = null;
+		}
+		if (!this.captionEntry) {
+			this.captionEntry = this.createLogEntry();
+			this.captionEntry.div.classList.add('log-pending');
+		}
+
+		this.captionEntry.transcriptSpan.textContent = `> ${text}`;
+		this.transcriptLog.scrollTop = this.transcriptLog.scrollHeight;
+	}
+
+	// A typed turn shows straight away, like a live caption, and is completed when the reply arrives
+	addTypedEntry(text) {
+		if (this.captionEntry) {
+			this.captionEntry.div.classList.remove('log-pending');
+		}
+		this.captionEntry = this.createLogEntry();
+		this.captionEntry.div.classList.add('log-pending', 'log-typed');
+		this.captionEntry.transcriptSpan.textContent = `> ${text}`;
+		this.transcriptLog.scrollTop = this.transcriptLog.scrollHeight;
+	}
+
+	createLogEntry() {
 		const timestamp = new Date().toLocaleTimeString();
 
 		// Create entry element
@@ -96,11 +663,9 @@ export class UIDisplay {
 
 		const transcriptSpan = document.createElement('div');
 		transcriptSpan.className = 'log-transcript';
-		transcriptSpan.textContent = `> ${transcript}`;
 
 		const analysisSpan = document.createElement('div');
 		analysisSpan.className = 'log-analysis';
-		analysisSpan.textContent = `  ${analysis}`;
 
 		entryDiv.appendChild(timestampSpan);
 		entryDiv.appendChild(transcriptSpan);
@@ -120,13 +685,63 @@ export class UIDisplay {
 		// Add to display
 		this.transcriptLog.appendChild(entryDiv);
 
-		// Auto-scroll to bottom
-		this.transcriptLog.scrollTop = this.transcriptLog.scrollHeight;
+		return { div: entryDiv, timestampSpan, transcriptSpan, analysisSpan };
+	}
+
+	makeReplayable(entryDiv, timestampSpan, utterance) {
+		entryDiv.classList.add('log-replayable');
+		entryDiv.title = `Click to replay (${(utterance.samples.length / utterance.sampleRate).toFixed(1)}s)`;
+
+		const canvas = document.createElement('canvas');
+		canvas.className = 'log-waveform';
+		canvas.width = 120;
+		canvas.height = 20;
+		this.drawWaveform(canvas, utterance.samples);
+		timestampSpan.appendChild(canvas);
+
+		entryDiv.addEventListener('click', async () => {
+			if (this.replayingEntry) {
+				this.replayingEntry.classList.remove('log-playing');
+			}
+			this.replayingEntry = entryDiv;
+			entryDiv.classList.add('log-playing');
+
+			await this.onReplayRequested(utterance);
+
+			// A newer replay may have taken over
+			if (this.replayingEntry === entryDiv) {
+				entryDiv.classList.remove('log-playing');
+				this.replayingEntry = null;
+			}
+		});
+	}
+
+	// Peak envelope, one column per pixel
+	drawWaveform(canvas, samples) {
+		const ctx = canvas.getContext('2d');
+		const { width, height } = canvas;
+		const samplesPerColumn = Math.max(1, Math.floor(samples.length / width));
+		const middle = height / 2;
+
+		ctx.clearRect(0, 0, width, height);
+		ctx.fillStyle = '#00ffff';
+		for (let x = 0; x < width; x++) {
+			const start = x * samplesPerColumn;
+			if (start >= samples.length) break;
+			let peak = 0;
+			for (let i = start; i < start + samplesPerColumn && i < samples.length; i++) {
+				peak = Math.max(peak, Math.abs(samples[i]));
+			}
+			const barHeight = Math.max(1, peak / 32768 * height);
+			ctx.fillRect(x, middle - barHeight / 2, 1, barHeight);
+		}
 	}
 
 	clearTranscriptLog() {
 		this.transcriptLog.innerHTML = '';
 		this.transcriptHistory = [];
+		this.replayingEntry = null;
+		this.captionEntry = null;
 	}
 
 	resetDisplay() {
@@ -134,9 +749,20 @@ export class UIDisplay {
 		this.descriptionDiv.textContent = 'Waiting for Connection';
 		this.updateStatus('');
 		this.clearTranscriptLog();
+		this.ledVis.setSpeaking(false);
 		this.ledVis.showIdle();
 	}
 
+	// The key proxy holds the key - hide the field and don't offer to unlock a saved one
+	setKeyProxied(proxied) {
+		this.keyProxied = proxied;
+		this.apiKeyGroup.hidden = proxied;
+		// A saved key stays in storage - a URL parameter shouldn't be able to delete it
+		if (proxied) {
+			this.apiKeyInput.value = '';
+		}
+	}
+
 	getApiKey() {
 		return this.apiKeyInput.value.trim();
 	}
@@ -0,0 +1,178 @@
+// Usage Meter - Audio sent, tokens per turn and per session, and an estimated cost against budget limits
+// Fed by Mic (audio) and the backend's usageMetadata; emits 'update', 'softLimit' and 'hardLimit' events
+
+// USD per million tokens, by modality - estimates for budgeting, check the current price list before relying on them
+export const PRICE_TABLE = {
+	'gemini-live-2.5-flash-preview': {
+		input: { TEXT: 0.50, AUDIO: 3.00 },
+		output: { TEXT: 2.00, AUDIO: 12.00 }
+	},
+	'gemini-2.0-flash-live-001': {
+		input: { TEXT: 0.35, AUDIO: 2.10 },
+		output: { TEXT: 1.50, AUDIO: 8.50 }
+	},
+	'gemini-2.5-flash-native-audio-preview-09-2025': {
+		input: { TEXT: 0.50, AUDIO: 3.00 },
+		output: { TEXT: 2.00, AUDIO: 12.00 }
+	}
+};
+
+const DIRECTIONS = ['input', 'output'];
+const MODALITIES = ['TEXT', 'AUDIO'];
+
+// { model: { input: { TEXT, AUDIO }, output: { TEXT, AUDIO } } } over PRICE_TABLE - a model that isn't in the table needs all four
+export function mergePrices(overrides = {}) {
+	if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+		throw new Error('Prices must be an object keyed by model');
+	}
+
+	const prices = structuredClone(PRICE_TABLE);
+	for (const [model, rates] of Object.entries(overrides)) {
+		const merged = prices[model] || { input: {}, output: {} };
+		for (const direction of DIRECTIONS) {
+			for (const modality of MODALITIES) {
+				const value = rates && rates[direction] ? rates[direction][modality] : undefined;
+				if (value === undefined) {
+					if (merged[direction][modality] === undefined) {
+						throw new Error(`${model} isn't in the price table - give input and output prices for TEXT and AUDIO`);
+					}
+					continue;
+				}
+				if (typeof value !== 'number' || !(value >= 0)) {
+					throw new Error(`${model} ${direction}.${modality} must be a price in USD per million tokens`);
+				}
+				merged[direction][modality] = value;
+			}
+		}
+		prices[model] = merged;
+	}
+	return prices;
+}
+
+export class UsageMeter extends EventTarget {
+	constructor(options = {}) {
+		super();
+
+		// Config
+		this.prices = options.prices || PRICE_TABLE; // See mergePrices for overriding part of the table
+		this.softLimitUsd = options.softLimitUsd ?? null; // Warn once the session's estimated cost passes this
+		this.hardLimitUsd = options.hardLimitUsd ?? null; // Streaming pauses once it passes this
+		this.updateIntervalMs = options.updateIntervalMs ?? 1000; // Audio-only 'update' events are throttled to this
+
+		this.reset();
+	}
+
+	// One session - from connect to disconnect
+	reset(model = Object.keys(this.prices)[0], responseMode = 'text') {
+		this.model = model;
+		this.responseMode = responseMode;
+		this.priced = model in this.prices;
+		if (!this.priced) {
+			console.warn(`[USAGE] No prices for ${model} - estimating with ${Object.keys(this.prices)[0]}'s, add it to the price table`);
+		}
+		this.audioMs = 0;
+		this.lastAudioUpdateMs = 0;
+		this.turns = [];
+		this.totals = { promptTokens: 0, responseTokens: 0, totalTokens: 0 };
+		this.costUsd = 0;
+		this.softReached = false;
+		this.hardReached = false;
+		this.emit('update', this.getSummary());
+	}
+
+	// Applies to turns from now on - what's already been counted keeps the price it had
+	setPrices(prices) {
+		this.prices = prices;
+		this.priced = this.model in this.prices;
+		this.emit('update', this.getSummary());
+	}
+
+	setLimits({ softLimitUsd, hardLimitUsd }) {
+		if (softLimitUsd !== undefined) this.softLimitUsd = softLimitUsd;
+		if (hardLimitUsd !== undefined) this.hardLimitUsd = hardLimitUsd;
+		// A raised limit can be reached again
+		this.softReached = this.softLimitUsd !== null && this.costUsd >= this.softLimitUsd;
+		this.hardReached = this.hardLimitUsd !== null && this.costUsd >= this.hardLimitUsd;
+		this.emit('update', this.getSummary());
+	}
+
+	recordAudio(durationMs) {
+		this.audioMs += durationMs;
+		if (this.audioMs - this.lastAudioUpdateMs >= this.updateIntervalMs) {
+			this.lastAudioUpdateMs = this.audioMs;
+			this.emit('update', this.getSummary());
+		}
+	}
+
+	// The Live API reports usage once per model turn
+	recordUsage(usage) {
+		const promptTokens = (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0);
+		const responseTokens = (usage.responseTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+		const turn = {
+			promptTokens,
+			responseTokens,
+			totalTokens: usage.totalTokenCount || promptTokens + responseTokens,
+			costUsd: this.priceUsage(usage)
+		};
+		this.turns.push(turn);
+		this.totals.promptTokens += turn.promptTokens;
+		this.totals.responseTokens += turn.responseTokens;
+		this.totals.totalTokens += turn.totalTokens;
+		this.costUsd += turn.costUsd;
+
+		console.log(`[USAGE] Turn ${this.turns.length}: ${turn.promptTokens} in / ${turn.responseTokens} out, ~$${turn.costUsd.toFixed(4)} (session ~$${this.costUsd.toFixed(4)})`);
+		this.emit('update', this.getSummary());
+		this.checkLimits();
+	}
+
+	// Per-modality breakdowns when the server sends them; otherwise prompts are priced as audio so the estimate errs high
+	priceUsage(usage) {
+		const prices = this.prices[this.model] || Object.values(this.prices)[0];
+		const outputModality = this.responseMode === 'audio' ? 'AUDIO' : 'TEXT';
+		const price = (details, total, rates, fallback) => {
+			if (details && details.length > 0) {
+				return details.reduce((sum, { modality, tokenCount = 0 }) => sum + tokenCount * (rates[modality] ?? rates[fallback]), 0);
+			}
+			return total * rates[fallback];
+		};
+
+		const input = price(usage.promptTokensDetails, usage.promptTokenCount || 0, prices.input, 'AUDIO') +
+			(usage.toolUsePromptTokenCount || 0) * prices.input.TEXT;
+		const output = price(usage.responseTokensDetails, usage.responseTokenCount || 0, prices.output, outputModality) +
+			(usage.thoughtsTokenCount || 0) * prices.output.TEXT;
+		return (input + output) / 1e6;
+	}
+
+	checkLimits() {
+		if (!this.softReached && this.softLimitUsd !== null && this.costUsd >= this.softLimitUsd) {
+			this.softReached = true;
+			console.warn(`[USAGE] Soft budget of $${this.softLimitUsd} reached`);
+			this.emit('softLimit', this.getSummary());
+		}
+		if (!this.hardReached && this.hardLimitUsd !== null && this.costUsd >= this.hardLimitUsd) {
+			this.hardReached = true;
+			console.warn(`[USAGE] Hard budget of $${this.hardLimitUsd} reached`);
+			this.emit('hardLimit', this.getSummary());
+		}
+	}
+
+	getSummary() {
+		return {
+			model: this.model,
+			priced: this.priced, // False when the model has no entry and another model's prices are standing in
+			audioSeconds: this.audioMs / 1000,
+			turns: this.turns.length,
+			lastTurn: this.turns[this.turns.length - 1] || null,
+			totals: { ...this.totals },
+			costUsd: this.costUsd,
+			softLimitUsd: this.softLimitUsd,
+			hardLimitUsd: this.hardLimitUsd,
+			softReached: this.softReached,
+			hardReached: this.hardReached
+		};
+	}
+
+	emit(type, detail) {
+		this.dispatchEvent(new CustomEvent(type, { detail }));
+	}
+}
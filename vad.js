@@ -0,0 +1,165 @@
+// Voice Activity Detector - Energy + zero-crossing speech detection with hangover
+// Fed raw PCM chunks by Mic, decides when an utterance starts and ends
+
+// The noise window is kept as this many block minima, so it slides without holding every frame
+const NOISE_BLOCKS = 5;
+
+export class VoiceActivityDetector {
+	constructor(options = {}) {
+		// Config
+		this.sampleRate = options.sampleRate || 16000;
+		this.energyThreshold = options.energyThreshold ?? 0.015; // Minimum RMS that can count as speech
+		this.noiseFloorRatio = options.noiseFloorRatio ?? 3.0; // Speech must be this much louder than the tracked noise floor
+		this.noiseWindowMs = options.noiseWindowMs ?? 5000; // The floor never sits below the quietest frame in this window - even mid-utterance
+		this.minZeroCrossings = options.minZeroCrossings ?? 100; // Crossings per second - below this is hum / rumble
+		this.maxZeroCrossings = options.maxZeroCrossings ?? 5000; // Crossings per second - above this is hiss
+		this.attackMs = options.attackMs ?? 60; // Speech must persist this long before an utterance starts
+		this.hangoverMs = options.hangoverMs ?? 1500; // Silence needed before an utterance ends
+		this.maxUtteranceMs = options.maxUtteranceMs ?? 15000; // Force an end after this much continuous speech
+
+		// State
+		this.reset();
+	}
+
+	// Callbacks for external events
+	onSpeechStart() {
+		// Override this in mic.js
+	}
+
+	onSpeechEnd(reason) {
+		// Override this in mic.js
+		// reason is 'silence' or 'maxDuration' - or whatever Mic passes when it closes one itself
+	}
+
+	configure(options = {}) {
+		for (const key of Object.keys(options)) {
+			if (options[key] !== undefined && key in this) {
+				this[key] = options[key];
+			}
+		}
+	}
+
+	// Feed one chunk of float32 samples, returns whether we are inside an utterance afterwards
+	process(samples) {
+		if (!samples || samples.length === 0) return this.speaking;
+
+		const durationMs = samples.length / this.sampleRate * 1000;
+		const { rms, zeroCrossings } = this.measure(samples);
+		const isSpeechFrame = this.classify(rms, zeroCrossings);
+		this.level = rms;
+
+		// Follow the background closely while nobody is talking
+		if (!isSpeechFrame) {
+			this.noiseFloor = this.noiseFloor === 0 ? rms : this.noiseFloor * 0.95 + rms * 0.05;
+		}
+		this.trackMinimum(rms, durationMs);
+
+		if (!this.speaking) {
+			if (isSpeechFrame) {
+				this.speechRunMs += durationMs;
+				if (this.speechRunMs >= this.attackMs) {
+					this.startUtterance();
+				}
+			} else {
+				this.speechRunMs = 0;
+			}
+			return this.speaking;
+		}
+
+		this.utteranceMs += durationMs;
+		this.silenceRunMs = isSpeechFrame ? 0 : this.silenceRunMs + durationMs;
+
+		if (this.silenceRunMs >= this.hangoverMs) {
+			this.endUtterance('silence');
+		} else if (this.utteranceMs >= this.maxUtteranceMs) {
+			this.endUtterance('maxDuration');
+			// Still talking - roll straight into a fresh utterance
+			if (isSpeechFrame) {
+				this.startUtterance();
+			}
+		}
+
+		return this.speaking;
+	}
+
+	// Minimum statistics, fed during "speech" too - pauses between words dip to the background level,
+	// so noise that never stops can only hold the detector open until the window catches up with it
+	trackMinimum(rms, durationMs) {
+		this.blockMin = Math.min(this.blockMin, rms);
+		this.blockMs += durationMs;
+		if (this.blockMs < this.noiseWindowMs / NOISE_BLOCKS) return;
+
+		this.blockMins.push(this.blockMin);
+		if (this.blockMins.length > NOISE_BLOCKS) {
+			this.blockMins.shift();
+		}
+		this.blockMin = Infinity;
+		this.blockMs = 0;
+
+		const minimum = Math.min(...this.blockMins);
+		if (minimum > this.noiseFloor) {
+			this.noiseFloor = minimum;
+		}
+	}
+
+	measure(samples) {
+		let sumSquares = 0;
+		let crossings = 0;
+		let previous = samples[0];
+		for (let i = 0; i < samples.length; i++) {
+			const sample = samples[i];
+			sumSquares += sample * sample;
+			if ((sample >= 0) !== (previous >= 0)) {
+				crossings++;
+			}
+			previous = sample;
+		}
+
+		return {
+			rms: Math.sqrt(sumSquares / samples.length),
+			zeroCrossings: crossings * this.sampleRate / samples.length
+		};
+	}
+
+	classify(rms, zeroCrossings) {
+		const threshold = Math.max(this.energyThreshold, this.noiseFloor * this.noiseFloorRatio);
+
+		// Clearly loud enough - count it regardless of spectral shape
+		if (rms >= threshold * 2) return true;
+
+		// Borderline energy - only accept it if it crosses zero like voiced speech
+		return rms >= threshold &&
+			zeroCrossings >= this.minZeroCrossings &&
+			zeroCrossings <= this.maxZeroCrossings;
+	}
+
+	startUtterance() {
+		this.speaking = true;
+		this.speechRunMs = 0;
+		this.silenceRunMs = 0;
+		this.utteranceMs = 0;
+		console.log('[VAD] Speech started');
+		this.onSpeechStart();
+	}
+
+	endUtterance(reason) {
+		this.speaking = false;
+		this.speechRunMs = 0;
+		this.silenceRunMs = 0;
+		console.log(`[VAD] Speech ended (${reason}) after ${Math.round(this.utteranceMs)}ms`);
+		this.utteranceMs = 0;
+		this.onSpeechEnd(reason);
+	}
+
+	reset() {
+		this.speaking = false;
+		this.noiseFloor = 0;
+		this.level = 0;
+		this.speechRunMs = 0;
+		this.silenceRunMs = 0;
+		this.utteranceMs = 0;
+		this.blockMins = [];
+		this.blockMin = Infinity;
+		this.blockMs = 0;
+	}
+}
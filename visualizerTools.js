@@ -0,0 +1,60 @@
+// Visualizer Tools - Uni's visual reactions declared as Live API functions
+// The model calls these instead of packing color/speed/smooth/emoji into its JSON; arguments are checked against responseSchema.js
+import { Type } from '@google/genai';
+import { checkField } from './responseSchema.js';
+
+// The reply fields these tools take over - the text reply no longer has to carry them
+export const VISUAL_FIELDS = ['emoji', 'color', 'speed', 'smooth'];
+
+export const VISUALIZER_TOOLS = [{
+	functionDeclarations: [
+		{
+			name: 'set_mood',
+			description: 'Set how you are feeling on your LED ring and emoji display. Call this once for every utterance you react to, before your analysis.',
+			parameters: {
+				type: Type.OBJECT,
+				properties: {
+					color: { type: Type.STRING, description: 'Hex color representing your mood, formatted "#RRGGBB"' },
+					speed: { type: Type.NUMBER, description: 'How energetic the mood is, from -1 to 1' },
+					smooth: { type: Type.NUMBER, description: 'How smooth the visualization is, from 0 to 1' },
+					emoji: { type: Type.STRING, description: 'Single emoji of your emotion' }
+				},
+				required: ['color', 'speed', 'smooth', 'emoji']
+			}
+		},
+		{
+			name: 'pulse',
+			description: 'Flash your LED ring for a momentary reaction, e.g. surprise or a laugh.',
+			parameters: {
+				type: Type.OBJECT,
+				properties: {
+					intensity: { type: Type.NUMBER, description: 'How strong the flash is, from 0 to 1' }
+				},
+				required: ['intensity']
+			}
+		}
+	]
+}];
+
+export const VISUALIZER_PROMPT = `You have access to a visualization of how you are feeling, through two tools:
+- set_mood(color, speed, smooth, emoji): call it for every utterance, before your reply, with a color that best represents your current mood, speed (-1 to 1) for how energetic the emotion is, smooth (0 to 1) for the smoothness of the visualization, and an emoji.
+- pulse(intensity): optionally flash the ring (0 to 1) for a momentary reaction.`;
+
+// Returns a list of problems - empty when the call can be dispatched
+export function validateToolCall(name, args = {}) {
+	if (name === 'set_mood') {
+		return VISUAL_FIELDS
+			.map(field => ({ field, message: checkField(field, args[field]) }))
+			.filter(error => error.message);
+	}
+
+	if (name === 'pulse') {
+		const { intensity } = args;
+		if (typeof intensity !== 'number' || !isFinite(intensity) || intensity < 0 || intensity > 1) {
+			return [{ field: 'intensity', message: `must be a number between 0 and 1, got ${JSON.stringify(intensity)}` }];
+		}
+		return [];
+	}
+
+	return [{ field: null, message: `unknown function "${name}"` }];
+}